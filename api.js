@@ -1,6 +1,32 @@
 // api.js — Centralized API calls
 // Avoid hard circular import; prefer window.config if available.
 
+import {
+  getApiSubdomainHost,
+  isApiSubdomainIncluded,
+  setApiSubdomainIncluded,
+  getAppSelectionKey,
+  getApiSelectionKey,
+  getAssetSelection,
+  setAssetSelection,
+  isAssetIncluded
+} from './selections.js';
+import { canonicalizeHost, toUnicodeHost } from './hostnames.js';
+import { escapeHtml } from './html.js';
+import {
+  MOBILE_SEARCH_MODES,
+  getMobileSearchMode,
+  getMobileAppIds,
+  parseMobileAppIds,
+  getMobileFetchOptions,
+  isMobileCacheCurrent,
+  readMobileCache,
+  mergeMobileSearches,
+  setMobileSearch,
+  loadMobileOptions
+} from './mobileoptions.js';
+import { buildPreviousSnapshot, getDiscoveryChanges } from './snapshots.js';
+
 function getApiBaseUrl() {
   const cfg = (typeof window !== 'undefined' && window.config) ? window.config : null;
   const base = cfg?.apiBasePath?.replace(/\/$/, '') || '';
@@ -23,6 +49,10 @@ const FETCH_OPTIONS = {
   }
 };
 
+// Store lookups for the bundle/package ID search (see resolveMobileAppIds)
+const APP_STORE_LOOKUP_URL = 'https://itunes.apple.com/lookup';
+const PLAY_STORE_APP_URL = 'https://play.google.com/store/apps/details';
+
 // Global API data store
 const storedApiData = {
   loading: false,
@@ -30,19 +60,18 @@ const storedApiData = {
   error: null,
   mobileDetails: null,
   apiDetails: null,
+  // Which search mobileDetails came from, and whether it included store versions (see mobileoptions.js)
+  mobileSearch: '',
+  mobileVersions: false,
   // ✅ initialize these so UI checks are consistent
   mobileError: null,
-  apiError: null
+  apiError: null,
+  // Other root domains of the program: { [domain]: { mobileDetails, apiDetails, mobileError, apiError, loading } }
+  additionalDomains: {},
+  // User-entered assets the backend cannot discover (see manualassets.js)
+  manualAssets: []
 }; 
 
-function escapeHtml(s = '') {
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
-
 function renderPartialError(title, message) {
   return `
     <div class="mb-4 bg-red-50 border-l-4 border-red-500 text-red-700 p-3">
@@ -125,10 +154,9 @@ function validateMobilePayload(json) {
   return { error: false };
 }
 
+// Same canonical form as extractDomain in domains.js (punycode, no scheme/port/path/www.)
 function normalizeDomain(input = '') {
-  let s = String(input).trim().toLowerCase();
-  s = s.replace(/^https?:\/\//, '').replace(/^www\./, '');
-  return s.split('/')[0];
+  return canonicalizeHost(input) || String(input).trim().toLowerCase();
 }
 
 
@@ -475,27 +503,42 @@ function showApiResultsPopup() {
         </div>`;
     }
 
-    // Mobile section
-    if (mobileHasData) {
-      html += renderDataSection("📱 Mobile Apps", storedApiData.mobileDetails);
-    } else if (storedApiData?.mobileError) {
-      html += renderPartialError("Mobile Apps", storedApiData.mobileError);
-    } else {
-      html += `<div class="mb-4"><strong class="text-lg text-blue-700">📱 Mobile Apps</strong><div class="mt-2 text-sm text-gray-600">No mobile apps found</div></div>`;
-    }
-
-    // API section
-    if (apiHasData) {
-      html += renderDataSection("🔗 API", storedApiData.apiDetails);
-    } else if (storedApiData?.apiError) {
-      html += renderPartialError("API", storedApiData.apiError);
-    } else {
-      html += `<div class="mb-4"><strong class="text-lg text-blue-700">🔗 API</strong><div class="mt-2 text-sm text-gray-600">No API's or documentation found</div></div>`;
-    }
+    html += renderDomainDataSections(storedApiData, normalizeDomain(localStorage.getItem('enteredUrl') || ''));
   }
 
-  // Set the content
-  contentArea.innerHTML = html || renderNoDataMessage();
+  // Other root domains of the program (see domains.js)
+  Object.entries(storedApiData?.additionalDomains || {}).forEach(([domain, entry]) => {
+    html += `<div class="mt-6 mb-3 pt-4 border-t"><strong class="text-lg text-gray-800">🌐 ${escapeHtml(toUnicodeHost(domain))}</strong></div>`;
+    html += entry.loading
+      ? `<div class="mb-4 text-sm text-gray-600">Loading data…</div>`
+      : renderDomainDataSections(entry, domain);
+  });
+
+  // Set the content (the search and refresh controls only make sense once a domain was entered)
+  const searchControls = localStorage.getItem('enteredUrl') ? renderMobileSearchControls() + renderRefreshControls() : '';
+  contentArea.innerHTML = searchControls + (html || renderNoDataMessage());
+
+  // Include/exclude toggles for discovered API subdomains
+  contentArea.querySelectorAll('input[data-api-subdomain]').forEach(box => {
+    box.onchange = () => setApiSubdomainIncluded(box.dataset.domain, box.dataset.apiSubdomain, box.checked);
+  });
+
+  // Include/edit controls for each app and API
+  setupCurationControls(contentArea);
+
+  // Re-run the app search in another mode
+  setupMobileSearchControls(contentArea, modal);
+
+  // Fetch every program domain again (changes since the last fetch are listed per domain)
+  const refreshBtn = contentArea.querySelector('#refreshProgramData');
+  if (refreshBtn) {
+    refreshBtn.onclick = async () => {
+      refreshBtn.disabled = true;
+      refreshBtn.textContent = '⏳ Refreshing…';
+      await refreshProgramData();
+      if (!modal.classList.contains('hidden')) showApiResultsPopup();
+    };
+  }
 
   // Wire up the Retry button inside the modal (if present)
   const retryBtn = contentArea.querySelector('#retryApiButton');
@@ -519,6 +562,134 @@ function showApiResultsPopup() {
   modal.classList.remove('hidden');
 }
 
+/**
+ * Helper: "Search apps by" controls at the top of the Program Data popup.
+ * Same options as the builder page (mobileoptions.js); re-running applies to every program domain.
+ */
+function renderMobileSearchControls() {
+  const mode = getMobileSearchMode();
+  const options = Object.entries(MOBILE_SEARCH_MODES)
+    .map(([value, label]) => `<option value="${value}" ${value === mode ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+  return `
+    <div id="mobileSearchControls" class="mb-4 p-3 bg-gray-50 border rounded text-sm">
+      <div class="flex flex-wrap items-center gap-2">
+        <label for="popupMobileSearchMode" class="font-medium text-gray-700">📱 Search apps by</label>
+        <select id="popupMobileSearchMode" class="px-2 py-1 border rounded">${options}</select>
+        <input type="text" id="popupMobileAppIds" value="${escapeHtml(getMobileAppIds().join(', '))}"
+          placeholder="com.example.app, id123456789"
+          class="flex-1 min-w-[12rem] px-2 py-1 border rounded ${mode === 'app_ids' ? '' : 'hidden'}">
+        <button type="button" id="rerunMobileSearch"
+          class="bg-blue-200 text-blue-800 px-3 py-1 rounded hover:bg-blue-300 font-medium">🔍 Search again</button>
+      </div>
+      <p id="popupMobileSearchError" class="text-red-600 mt-1 hidden"></p>
+    </div>`;
+}
+
+function setupMobileSearchControls(container, modal) {
+  const modeSelect = container.querySelector('#popupMobileSearchMode');
+  const idsInput = container.querySelector('#popupMobileAppIds');
+  const button = container.querySelector('#rerunMobileSearch');
+  const errorEl = container.querySelector('#popupMobileSearchError');
+  if (!modeSelect || !idsInput || !button) return;
+
+  const showError = (text) => {
+    errorEl.textContent = text;
+    errorEl.classList.toggle('hidden', !text);
+  };
+
+  modeSelect.onchange = () => {
+    idsInput.classList.toggle('hidden', modeSelect.value !== 'app_ids');
+    showError('');
+  };
+
+  button.onclick = async () => {
+    const mode = modeSelect.value;
+    const { ids, invalid } = parseMobileAppIds(idsInput.value);
+    if (mode === 'app_ids') {
+      if (invalid.length) return showError(`Not a bundle ID, package name or App Store ID: ${invalid.join(', ')}`);
+      if (!ids.length) return showError('Please enter at least one bundle ID, package name or App Store ID.');
+    }
+
+    setMobileSearch(mode, mode === 'app_ids' ? ids : getMobileAppIds());
+    loadMobileOptions();
+    button.disabled = true;
+    button.textContent = '⏳ Searching…';
+    await refreshMobileAppData();
+
+    // Show the new results if the popup is still open
+    if (!modal.classList.contains('hidden')) showApiResultsPopup();
+  };
+}
+
+/**
+ * Helper: "Refresh data" bar under the search controls of the Program Data popup.
+ */
+function renderRefreshControls() {
+  return `
+    <div class="mb-4 flex items-center gap-2 text-sm text-gray-600">
+      <button type="button" id="refreshProgramData"
+        class="bg-blue-200 text-blue-800 px-3 py-1 rounded hover:bg-blue-300 font-medium">🔄 Refresh data</button>
+      <span>Fetch the apps and APIs again and show what changed.</span>
+    </div>`;
+}
+
+/**
+ * Helper: Apps and APIs added, removed or changed since the previous fetch of a domain (snapshots.js).
+ */
+function renderDiscoveryChanges(source, domain) {
+  const changes = domain ? getDiscoveryChanges(domain, source) : null;
+  if (!changes) return '';
+
+  const since = changes.timestamp ? ` on ${escapeHtml(new Date(changes.timestamp).toLocaleString())}` : '';
+  const rows = [];
+  [['apps', '📱'], ['apis', '🔗']].forEach(([group, icon]) => {
+    const { added, removed, changed } = changes[group];
+    added.forEach(item => rows.push(`<li class="text-green-700">${icon} ➕ Added: ${escapeHtml(item.name)}</li>`));
+    removed.forEach(item => rows.push(`<li class="text-red-700">${icon} ➖ Removed: ${escapeHtml(item.name)}</li>`));
+    changed.forEach(item => rows.push(
+      `<li class="text-yellow-800">${icon} ✏️ Changed: ${escapeHtml(item.name)} (${escapeHtml(item.fields.join(', '))})</li>`
+    ));
+  });
+
+  return `
+    <div class="mb-4 p-3 bg-yellow-50 border-l-4 border-yellow-400 text-sm">
+      <div class="font-semibold text-yellow-800 mb-1">🔔 Changes since the previous fetch${since}</div>
+      <ul class="space-y-0.5">${rows.join('')}</ul>
+    </div>`;
+}
+
+/**
+ * Mobile + API sections for one domain's data ({ mobileDetails, apiDetails, mobileError, apiError }).
+ */
+function renderDomainDataSections(source, domain) {
+  const mobileHasData = !!source?.mobileDetails && !isMobileDetailsEmpty(source.mobileDetails);
+  const apiHasData = !!source?.apiDetails && !isApiDetailsEmpty(source.apiDetails);
+  const subdomainCount = source?.apiDetails?.apiSubdomains?.length || 0;
+  let html = renderDiscoveryChanges(source, domain);
+
+  // Mobile section
+  if (mobileHasData) {
+    html += renderDataSection("📱 Mobile Apps", source.mobileDetails, domain);
+  } else if (source?.mobileError) {
+    html += renderPartialError("Mobile Apps", source.mobileError);
+  } else {
+    html += `<div class="mb-4"><strong class="text-lg text-blue-700">📱 Mobile Apps</strong><div class="mt-2 text-sm text-gray-600">No mobile apps found</div></div>`;
+  }
+
+  // API section (subdomains alone are still worth showing)
+  if (apiHasData || subdomainCount) {
+    html += renderDataSection("🔗 API", source.apiDetails, domain);
+  } else if (source?.apiError) {
+    html += renderPartialError("API", source.apiError);
+  } else {
+    html += `<div class="mb-4"><strong class="text-lg text-blue-700">🔗 API</strong><div class="mt-2 text-sm text-gray-600">No API's or documentation found</div></div>`;
+  }
+
+  return html;
+}
+
 function renderErrorMessage(errorObj) {
   const timestamp = errorObj.timestamp 
     ? new Date(errorObj.timestamp).toLocaleString() 
@@ -566,7 +737,7 @@ function renderErrorMessage(errorObj) {
   `;
 }
 
-function renderDataSection(title, data) {
+function renderDataSection(title, data, domain = '') {
   if (!data) {
     return `<div class="mb-4"><strong>${title}:</strong> <span class="text-gray-500">No data available</span></div>`;
   }
@@ -574,12 +745,12 @@ function renderDataSection(title, data) {
   return `
     <div class="mb-4">
       <strong class="text-lg text-blue-700">${title}</strong>
-      <div class="mt-2">${formatProgramDataContent(data)}</div>
+      <div class="mt-2">${formatProgramDataContent(data, domain)}</div>
     </div>
   `;
 }
 
-function formatProgramDataContent(data) {
+function formatProgramDataContent(data, domain = '') {
   if (Array.isArray(data)) {
     return `<ul class="list-disc pl-5">${data.map(item => `<li>${item}</li>`).join('')}</ul>`;
   }
@@ -587,12 +758,12 @@ function formatProgramDataContent(data) {
   if (typeof data === 'object') {
     // Check if this is the ai_recommend_apis format
     if (data.suggestedApis || data.alternativeApis || data.recommendation || data.apiSubdomains) {
-      return formatApiRecommendationsForPopup(data);
+      return formatApiRecommendationsForPopup(data, domain);
     }
     
     // Check if this is mobile app data format
     if (data.suggested_apps || data.alternatives) {
-      return formatMobileAppsForPopup(data);
+      return formatMobileAppsForPopup(data, domain);
     }
     
     // Allow long lines/URLs to wrap instead of being visually cut off
@@ -602,40 +773,136 @@ function formatProgramDataContent(data) {
   return `<p>${data}</p>`;
 }
 
-function formatMobileAppsForPopup(data) {
+/**
+ * Helper: Include checkbox + inline edits for one app or API in the Program Data popup.
+ * Changes are saved per domain in assetSelections_<domain> (selections.js).
+ */
+function renderCurationControls({ group, domain, key, name, url, version, pinVersion, includedByDefault }) {
+  const selection = getAssetSelection(domain, group, key);
+  const included = isAssetIncluded(selection, includedByDefault);
+  const field = (id, label, original) => `
+    <label class="block text-xs text-gray-600">${label}
+      <input type="text" data-curate-field="${id}" value="${escapeHtml(selection[id] || '')}"
+        placeholder="${escapeHtml(original || '')}" class="mt-1 w-full p-1 border rounded text-sm text-gray-800">
+    </label>`;
+
+  return `
+    <div data-curate-group="${group}" data-curate-key="${escapeHtml(key)}" data-domain="${escapeHtml(domain)}"
+      data-included-default="${includedByDefault}">
+      <label class="flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input type="checkbox" data-curate-field="included" ${included ? 'checked' : ''}>
+        Include in scope
+      </label>
+      <details class="mt-1 text-sm">
+        <summary class="cursor-pointer text-blue-600 hover:underline">✏️ Edit name, URL or version</summary>
+        <div class="mt-2 grid gap-2">
+          ${field('name', 'Name', name)}
+          ${field('url', 'URL', url)}
+          ${field('version', 'Version', version || 'Current')}
+          ${pinVersion ? `<button type="button" data-pin-version="${escapeHtml(pinVersion)}"
+            class="justify-self-start bg-gray-200 text-gray-800 px-2 py-1 rounded hover:bg-gray-300 text-xs">
+            📌 Pin ${escapeHtml(pinVersion)} and later</button>` : ''}
+        </div>
+      </details>
+    </div>`;
+}
+
+/**
+ * Helper: Wire the curation controls rendered by renderCurationControls.
+ */
+function setupCurationControls(container) {
+  container.querySelectorAll('[data-curate-key]').forEach(wrapper => {
+    const { curateGroup: group, curateKey: key, domain, includedDefault } = wrapper.dataset;
+    const card = wrapper.parentElement;
+    const box = wrapper.querySelector('input[data-curate-field="included"]');
+
+    const syncCard = () => card?.classList.toggle('opacity-50', !box.checked);
+    syncCard();
+
+    box.onchange = () => {
+      // Only store choices that differ from the config default
+      const included = box.checked === (includedDefault === 'true') ? undefined : box.checked;
+      setAssetSelection(domain, group, key, { included });
+      syncCard();
+    };
+
+    wrapper.querySelectorAll('input[type="text"][data-curate-field]').forEach(input => {
+      input.onchange = () => setAssetSelection(domain, group, key, { [input.dataset.curateField]: input.value.trim() });
+    });
+
+    // "Pin X and later" fills the version field with the store version
+    const pinButton = wrapper.querySelector('[data-pin-version]');
+    const versionInput = wrapper.querySelector('input[data-curate-field="version"]');
+    if (pinButton && versionInput) {
+      pinButton.onclick = () => {
+        versionInput.value = `${pinButton.dataset.pinVersion} and later`;
+        versionInput.onchange();
+      };
+    }
+  });
+}
+
+/**
+ * Helper: One app card in the Program Data popup.
+ */
+function renderAppCardForPopup(app, { domain, displayName, platform, storeLabel, colour, includedByDefault }) {
+  let html = `<div class="mb-3 p-3 bg-${colour}-50 border border-${colour}-200 rounded">
+    <div class="font-medium text-${colour}-800">${escapeHtml(displayName)}</div>
+    <div class="text-sm mt-1">
+      <strong>Platform:</strong> ${escapeHtml(platform || app.platform || 'Unknown')}
+    </div>`;
+
+  if (app.url) {
+    html += `<div class="text-sm mt-1">
+      <strong>${storeLabel}:</strong> <a href="${escapeHtml(app.url)}" target="_blank" class="text-blue-600 hover:underline">${escapeHtml(app.url)}</a>
+    </div>`;
+  }
+
+  if (app.version) {
+    html += `<div class="text-sm mt-1">
+      <strong>Version:</strong> ${escapeHtml(app.version)}
+    </div>`;
+  }
+
+  if (app.developer) {
+    html += `<div class="text-sm mt-1">
+      <strong>Developer:</strong> ${escapeHtml(app.developer)}
+    </div>`;
+  }
+
+  html += `<div class="mt-2 pt-2 border-t border-${colour}-200">${renderCurationControls({
+    group: 'apps',
+    domain,
+    key: getAppSelectionKey(app),
+    name: displayName,
+    url: app.url,
+    version: app.version,
+    pinVersion: app.version,
+    includedByDefault
+  })}</div>`;
+
+  return html + `</div>`;
+}
+
+function formatMobileAppsForPopup(data, domain = '') {
+  const suggestedOnly = !!window.config?.suggestedAppsOnly;
   let html = '';
   
   // Format suggested apps
   if (Array.isArray(data.suggested_apps) && data.suggested_apps.length > 0) {
+    // Suggested apps are listed in scope under the suggested name
+    const suggestedName = data.search_mode === 'app_ids' ? '' : data.suggested_name || data.suggested_apps[0].name;
     html += `<div class="mb-4">
       <div class="font-semibold text-green-700 mb-2">✅ Suggested Mobile Apps</div>`;
     
     data.suggested_apps.forEach(app => {
-      html += `<div class="mb-3 p-3 bg-green-50 border border-green-200 rounded">
-        <div class="font-medium text-green-800">${escapeHtml(app.name || 'Mobile App')}</div>
-        <div class="text-sm mt-1">
-          <strong>Platform:</strong> ${escapeHtml(app.platform || 'Unknown')}
-        </div>`;
-      
-      if (app.url) {
-        html += `<div class="text-sm mt-1">
-          <strong>Store URL:</strong> <a href="${escapeHtml(app.url)}" target="_blank" class="text-blue-600 hover:underline">${escapeHtml(app.url)}</a>
-        </div>`;
-      }
-      
-      if (app.version) {
-        html += `<div class="text-sm mt-1">
-          <strong>Version:</strong> ${escapeHtml(app.version)}
-        </div>`;
-      }
-      
-      if (app.developer) {
-        html += `<div class="text-sm mt-1">
-          <strong>Developer:</strong> ${escapeHtml(app.developer)}
-        </div>`;
-      }
-      
-      html += `</div>`;
+      html += renderAppCardForPopup(app, {
+        domain,
+        displayName: suggestedName || app.name || 'Mobile App',
+        storeLabel: 'Store URL',
+        colour: 'green',
+        includedByDefault: true
+      });
     });
     
     html += `</div>`;
@@ -643,83 +910,66 @@ function formatMobileAppsForPopup(data) {
   
   // Format alternative apps
   if (data.alternatives) {
-    // iOS alternatives
-    if (Array.isArray(data.alternatives.iOS) && data.alternatives.iOS.length > 0) {
-      html += `<div class="mb-4">
-        <div class="font-semibold text-blue-700 mb-2">🍎 iOS Alternative Apps</div>`;
-      
-      data.alternatives.iOS.forEach(app => {
-        html += `<div class="mb-3 p-3 bg-blue-50 border border-blue-200 rounded">
-          <div class="font-medium text-blue-800">${escapeHtml(app.name || 'iOS App')}</div>
-          <div class="text-sm mt-1">
-            <strong>Platform:</strong> iOS
-          </div>`;
-        
-        if (app.url) {
-          html += `<div class="text-sm mt-1">
-            <strong>App Store URL:</strong> <a href="${escapeHtml(app.url)}" target="_blank" class="text-blue-600 hover:underline">${escapeHtml(app.url)}</a>
-          </div>`;
-        }
-        
-        if (app.version) {
-          html += `<div class="text-sm mt-1">
-            <strong>Version:</strong> ${escapeHtml(app.version)}
-          </div>`;
-        }
-        
-        if (app.developer) {
-          html += `<div class="text-sm mt-1">
-            <strong>Developer:</strong> ${escapeHtml(app.developer)}
-          </div>`;
-        }
-        
-        html += `</div>`;
-      });
-      
-      html += `</div>`;
-    }
-    
-    // Android alternatives
-    if (Array.isArray(data.alternatives.Android) && data.alternatives.Android.length > 0) {
+    [
+      { platform: 'iOS', heading: '🍎 iOS Alternative Apps', storeLabel: 'App Store URL', colour: 'blue' },
+      { platform: 'Android', heading: '🤖 Android Alternative Apps', storeLabel: 'Play Store URL', colour: 'green' }
+    ].forEach(({ platform, heading, storeLabel, colour }) => {
+      const apps = data.alternatives[platform];
+      if (!Array.isArray(apps) || apps.length === 0) return;
+
       html += `<div class="mb-4">
-        <div class="font-semibold text-green-700 mb-2">🤖 Android Alternative Apps</div>`;
-      
-      data.alternatives.Android.forEach(app => {
-        html += `<div class="mb-3 p-3 bg-green-50 border border-green-200 rounded">
-          <div class="font-medium text-green-800">${escapeHtml(app.name || 'Android App')}</div>
-          <div class="text-sm mt-1">
-            <strong>Platform:</strong> Android
-          </div>`;
-        
-        if (app.url) {
-          html += `<div class="text-sm mt-1">
-            <strong>Play Store URL:</strong> <a href="${escapeHtml(app.url)}" target="_blank" class="text-blue-600 hover:underline">${escapeHtml(app.url)}</a>
-          </div>`;
-        }
-        
-        if (app.version) {
-          html += `<div class="text-sm mt-1">
-            <strong>Version:</strong> ${escapeHtml(app.version)}
-          </div>`;
-        }
-        
-        if (app.developer) {
-          html += `<div class="text-sm mt-1">
-            <strong>Developer:</strong> ${escapeHtml(app.developer)}
-          </div>`;
-        }
-        
-        html += `</div>`;
+        <div class="font-semibold text-${colour}-700 mb-2">${heading}</div>`;
+      apps.forEach(app => {
+        html += renderAppCardForPopup(app, {
+          domain,
+          displayName: app.name || `${platform} App`,
+          platform,
+          storeLabel,
+          colour,
+          includedByDefault: !suggestedOnly
+        });
       });
-      
       html += `</div>`;
-    }
+    });
   }
   
   return html || '<div class="text-gray-500">No mobile apps available</div>';
 }
 
-function formatApiRecommendationsForPopup(data) {
+/**
+ * Helper: One API card in the Program Data popup.
+ */
+function renderApiCardForPopup(api, { domain, colour, includedByDefault }) {
+  let html = `<div class="mb-3 p-3 bg-${colour}-50 border border-${colour}-200 rounded">
+    <div class="font-medium text-${colour}-800">${escapeHtml(api.name || 'API')}</div>
+    <div class="text-sm mt-1">
+      <strong>URL:</strong> <a href="${escapeHtml(api.mainPage)}" target="_blank" class="text-blue-600 hover:underline">${escapeHtml(api.mainPage)}</a>
+    </div>`;
+  
+  if (Array.isArray(api.documentationUrls) && api.documentationUrls.length > 0) {
+    html += `<div class="text-sm mt-1">
+      <strong>Documentation:</strong><br>`;
+    api.documentationUrls.forEach(docUrl => {
+      html += `<a href="${escapeHtml(docUrl)}" target="_blank" class="text-blue-600 hover:underline block ml-2">${escapeHtml(docUrl)}</a>`;
+    });
+    html += `</div>`;
+  }
+
+  html += `<div class="mt-2 pt-2 border-t border-${colour}-200">${renderCurationControls({
+    group: 'apis',
+    domain,
+    key: getApiSelectionKey(api),
+    name: api.name,
+    url: api.mainPage,
+    version: '',
+    includedByDefault
+  })}</div>`;
+  
+  return html + `</div>`;
+}
+
+function formatApiRecommendationsForPopup(data, domain = '') {
+  const suggestedOnly = !!window.config?.suggestedApisOnly;
   let html = '';
   
   // Show recommendation text if available
@@ -734,26 +984,9 @@ function formatApiRecommendationsForPopup(data) {
   if (Array.isArray(data.suggestedApis) && data.suggestedApis.length > 0) {
     html += `<div class="mb-4">
       <div class="font-semibold text-green-700 mb-2">✅ Suggested APIs</div>`;
-    
     data.suggestedApis.forEach(api => {
-      html += `<div class="mb-3 p-3 bg-green-50 border border-green-200 rounded">
-        <div class="font-medium text-green-800">${escapeHtml(api.name || 'API')}</div>
-        <div class="text-sm mt-1">
-          <strong>URL:</strong> <a href="${escapeHtml(api.mainPage)}" target="_blank" class="text-blue-600 hover:underline">${escapeHtml(api.mainPage)}</a>
-        </div>`;
-      
-      if (Array.isArray(api.documentationUrls) && api.documentationUrls.length > 0) {
-        html += `<div class="text-sm mt-1">
-          <strong>Documentation:</strong><br>`;
-        api.documentationUrls.forEach(docUrl => {
-          html += `<a href="${escapeHtml(docUrl)}" target="_blank" class="text-blue-600 hover:underline block ml-2">${escapeHtml(docUrl)}</a>`;
-        });
-        html += `</div>`;
-      }
-      
-      html += `</div>`;
+      html += renderApiCardForPopup(api, { domain, colour: 'green', includedByDefault: true });
     });
-    
     html += `</div>`;
   }
   
@@ -761,36 +994,26 @@ function formatApiRecommendationsForPopup(data) {
   if (Array.isArray(data.alternativeApis) && data.alternativeApis.length > 0) {
     html += `<div class="mb-4">
       <div class="font-semibold text-blue-700 mb-2">🔄 Alternative APIs</div>`;
-    
     data.alternativeApis.forEach(api => {
-      html += `<div class="mb-3 p-3 bg-blue-50 border border-blue-200 rounded">
-        <div class="font-medium text-blue-800">${escapeHtml(api.name || 'API')}</div>
-        <div class="text-sm mt-1">
-          <strong>URL:</strong> <a href="${escapeHtml(api.mainPage)}" target="_blank" class="text-blue-600 hover:underline">${escapeHtml(api.mainPage)}</a>
-        </div>`;
-      
-      if (Array.isArray(api.documentationUrls) && api.documentationUrls.length > 0) {
-        html += `<div class="text-sm mt-1">
-          <strong>Documentation:</strong><br>`;
-        api.documentationUrls.forEach(docUrl => {
-          html += `<a href="${escapeHtml(docUrl)}" target="_blank" class="text-blue-600 hover:underline block ml-2">${escapeHtml(docUrl)}</a>`;
-        });
-        html += `</div>`;
-      }
-      
-      html += `</div>`;
+      html += renderApiCardForPopup(api, { domain, colour: 'blue', includedByDefault: !suggestedOnly });
     });
-    
     html += `</div>`;
   }
 
-  // Show API subdomains if available
+  // Show API subdomains if available (ticked ones are listed as In-Scope assets)
   if (Array.isArray(data.apiSubdomains) && data.apiSubdomains.length > 0) {
     html += `<div class="mb-4">
-      <div class="font-semibold text-gray-700 mb-2">🌐 Related API Subdomains</div>
+      <div class="font-semibold text-gray-700 mb-1">🌐 Related API Subdomains</div>
+      <div class="text-xs text-gray-600 mb-2">Ticked subdomains are listed in the In-Scope Assets.</div>
       <div class="text-sm bg-gray-50 p-2 rounded border">`;
     data.apiSubdomains.forEach(subdomain => {
-      html += `<div class="font-mono text-xs">${escapeHtml(subdomain)}</div>`;
+      const host = getApiSubdomainHost(subdomain);
+      if (!host) return;
+      const checked = isApiSubdomainIncluded(domain, host) ? 'checked' : '';
+      html += `<label class="flex items-center gap-2 font-mono text-xs">
+        <input type="checkbox" data-api-subdomain="${escapeHtml(host)}" data-domain="${escapeHtml(domain)}" ${checked}>
+        ${escapeHtml(host)}
+      </label>`;
     });
     html += `</div></div>`;
   }
@@ -823,7 +1046,8 @@ function renderNoDataMessage() {
 window.__apiLoadState = window.__apiLoadState || { seq: 0, mobileCtrl: null, apiCtrl: null };
 
 // Function to load API data in the background and handle state updates
-async function loadApiDataInBackground(domainArg) {
+// opts.force: fetch both sides again even when the cache is complete (Refresh data)
+async function loadApiDataInBackground(domainArg, { force = false } = {}) {
   // Prefer provided domain; fall back to localStorage.
   const domainRaw = domainArg || (localStorage.getItem('enteredUrl') || '').trim();
   const domain = normalizeDomain(domainRaw);
@@ -872,6 +1096,7 @@ async function loadApiDataInBackground(domainArg) {
     const noMobileFlag = localStorage.getItem(`noMobileData_${domain}`) === '1';
     const noApiFlag    = localStorage.getItem(`noApiData_${domain}`) === '1';
     let hasCompleteCache = false; // compute after applying cache
+    let mobileCacheStale = false; // cached apps were fetched without the current mobile options
 
     if (savedData) {
       try {
@@ -879,15 +1104,17 @@ async function loadApiDataInBackground(domainArg) {
         if (mySeq !== window.__apiLoadState.seq) return { status: 'stale' };
 
         // Only update if we don't already have the data or need to retry
-        if (!storedApiData.mobileDetails && !noMobileFlag) {
-          storedApiData.mobileDetails = parsed.mobileDetails || null;
+        // Keep in-memory apps only while they match the current mobile search
+        if (!noMobileFlag && !(storedApiData.mobileDetails && isMobileCacheCurrent(storedApiData))) {
+          Object.assign(storedApiData, readMobileCache(parsed));
         }
         if (!storedApiData.apiDetails && !noApiFlag) {
           storedApiData.apiDetails = parsed.apiDetails ? normalizeApiDetails(parsed.apiDetails) : null;
         }
 
-        // Cache is complete only if BOTH objects exist
-        hasCompleteCache = !!storedApiData.mobileDetails && !!storedApiData.apiDetails;
+        // Cache is complete only if BOTH objects exist (and the apps match the mobile options)
+        mobileCacheStale = !!storedApiData.mobileDetails && !isMobileCacheCurrent(storedApiData);
+        hasCompleteCache = !force && !!storedApiData.mobileDetails && !!storedApiData.apiDetails && !mobileCacheStale;
 
         // If fully satisfied by cache, we can clear the loading state now
         if (hasCompleteCache) {
@@ -918,11 +1145,12 @@ async function loadApiDataInBackground(domainArg) {
     // Decide what to fetch (rule):
     //  - initialDataRetrieval OR previous failure/missing -> fetch that side
     // ─────────────────────────────────────────────────────────────
-    const isInitial = !savedData;
+    const isInitial = !savedData || force;
 
     const needsMobileData =
       isInitial ||
       !!storedApiData.mobileError ||
+      mobileCacheStale ||
       (!storedApiData.mobileDetails && !noMobileFlag);
 
     const needsApiData =
@@ -936,8 +1164,9 @@ async function loadApiDataInBackground(domainArg) {
     } catch {}
 
     // Build the two promises, skipping sides we don't need
+    const mobileOpts = getMobileFetchOptions();
     const mobilePromise = needsMobileData
-      ? fetchMobileAppDetailsForDomain(domain, { signal: mobileCtrl.signal })
+      ? fetchMobileAppDetailsForDomain(domain, mobileOpts.search_mode, mobileOpts.retrieve_android_version, { signal: mobileCtrl.signal, appIds: mobileOpts.app_ids })
       : Promise.resolve({ __skipped: true });
 
     const apiPromise = needsApiData
@@ -1024,6 +1253,8 @@ async function loadApiDataInBackground(domainArg) {
     if (!mobileSkipped) {
       if (mobileOk && !mobileNoData) {
         storedApiData.mobileDetails = mobileVal;
+        storedApiData.mobileVersions = mobileOpts.retrieve_android_version;
+        storedApiData.mobileSearch = mobileOpts.searchKey;
         storedApiData.mobileError = null;
         // Clear the no-data flag since we have valid data
         try { localStorage.removeItem(`noMobileData_${domain}`); } catch {}
@@ -1038,6 +1269,7 @@ async function loadApiDataInBackground(domainArg) {
         // Persist that Mobile retrieval failed (for retry on reload)
         try { localStorage.setItem(`mobileLastError_${domain}`, '1'); } catch {}
       } else if (mobileNoData) {
+        storedApiData.mobileSearch = mobileOpts.searchKey;
         // Only set no-data flag if we don't have cached data
         if (!storedApiData.mobileDetails) {
           storedApiData.mobileDetails = null;
@@ -1077,14 +1309,12 @@ async function loadApiDataInBackground(domainArg) {
     storedApiData.isLoading = false;
     storedApiData.error = null;
 
-    // Save successful/partial results
+    // Save successful/partial results (refetched sides keep their previous snapshot)
     try {
-      const toCache = {
-        mobileDetails: storedApiData.mobileDetails,
-        apiDetails: storedApiData.apiDetails,
-        timestamp: new Date().toISOString()
-      };
-      localStorage.setItem(`apiData_${domain}`, JSON.stringify(toCache));
+      saveDomainCache(domain, storedApiData, {
+        mobile: !mobileSkipped && mobileOk,
+        api: !apiSkipped && apiOk
+      });
     } catch (e) {
       console.warn("Failed to cache API data:", e);
     }
@@ -1153,6 +1383,204 @@ async function loadApiDataInBackground(domainArg) {
   }
 }
 
+/**
+ * Load mobile + API data for one of the program's additional root domains.
+ * Same cache keys and no-data/last-error flags as the primary domain, but the
+ * result goes to storedApiData.additionalDomains[domain] and no global banner is shown.
+ * Each domain has its own AbortController, so loads for different domains run side by side.
+ */
+async function loadAdditionalDomainData(domainArg, { force = false } = {}) {
+  const domain = normalizeDomain(domainArg);
+  if (!domain) return { status: 'noop' };
+
+  if (!window.__apiLoadState.additional) window.__apiLoadState.additional = {};
+  try { window.__apiLoadState.additional[domain]?.abort(); } catch {}
+  const ctrl = new AbortController();
+  window.__apiLoadState.additional[domain] = ctrl;
+  const isCurrent = () => window.__apiLoadState.additional?.[domain] === ctrl;
+
+  const entry = storedApiData.additionalDomains[domain] || {
+    mobileDetails: null,
+    apiDetails: null,
+    mobileError: null,
+    apiError: null,
+    loading: false
+  };
+  storedApiData.additionalDomains[domain] = entry;
+
+  // Cache first
+  const savedData    = localStorage.getItem(`apiData_${domain}`);
+  const noMobileFlag = localStorage.getItem(`noMobileData_${domain}`) === '1';
+  const noApiFlag    = localStorage.getItem(`noApiData_${domain}`) === '1';
+  const mobileLastError = localStorage.getItem(`mobileLastError_${domain}`) === '1';
+  const apiLastError    = localStorage.getItem(`apiLastError_${domain}`) === '1';
+
+  if (savedData) {
+    try {
+      const parsed = JSON.parse(savedData);
+      if (!noMobileFlag && !(entry.mobileDetails && isMobileCacheCurrent(entry))) {
+        Object.assign(entry, readMobileCache(parsed));
+      }
+      if (!entry.apiDetails && !noApiFlag) {
+        entry.apiDetails = parsed.apiDetails ? normalizeApiDetails(parsed.apiDetails) : null;
+      }
+    } catch (e) {
+      console.warn(`Error parsing cached data for ${domain}, will refetch`, e);
+    }
+  }
+
+  const isInitial = !savedData || force;
+  const mobileCacheStale = !!entry.mobileDetails && !isMobileCacheCurrent(entry);
+  const needsMobileData = (isInitial || mobileLastError || mobileCacheStale || (!entry.mobileDetails && !noMobileFlag));
+  const needsApiData    = (isInitial || apiLastError    || (!entry.apiDetails    && !noApiFlag));
+
+  if (!needsMobileData && !needsApiData) {
+    try { window.dispatchEvent(new CustomEvent('api-data-updated')); } catch {}
+    return { status: 'cached' };
+  }
+
+  entry.loading = true;
+  entry.mobileError = null;
+  entry.apiError = null;
+  try { window.dispatchEvent(new CustomEvent('additional-domain-updated', { detail: { domain } })); } catch {}
+
+  const mobileOpts = getMobileFetchOptions();
+  const [mobileRes, apiRes] = await Promise.allSettled([
+    needsMobileData
+      ? fetchMobileAppDetailsForDomain(domain, mobileOpts.search_mode, mobileOpts.retrieve_android_version, { signal: ctrl.signal, appIds: mobileOpts.app_ids })
+      : Promise.resolve({ __skipped: true }),
+    needsApiData    ? fetchApiDetails(domain, { signal: ctrl.signal })                : Promise.resolve({ __skipped: true })
+  ]);
+
+  if (!isCurrent()) return { status: 'stale' };
+  if ([mobileRes, apiRes].every(r => r.status === 'rejected' && r.reason?.name === 'AbortError')) {
+    entry.loading = false;
+    return { status: 'aborted' };
+  }
+
+  // Apply one side (mobile | api) using the same flag policy as loadApiDataInBackground
+  const applySide = (res, side) => {
+    const detailsKey = side === 'mobile' ? 'mobileDetails' : 'apiDetails';
+    const errorKey   = side === 'mobile' ? 'mobileError'   : 'apiError';
+    const noDataKey  = side === 'mobile' ? `noMobileData_${domain}` : `noApiData_${domain}`;
+    const lastErrKey = side === 'mobile' ? `mobileLastError_${domain}` : `apiLastError_${domain}`;
+
+    if (res.status === 'fulfilled' && res.value?.__skipped) return true;
+
+    const value = res.status === 'fulfilled'
+      ? (side === 'api' && !res.value?.error ? normalizeApiDetails(res.value) : res.value)
+      : null;
+
+    if (res.status === 'rejected' || value?.error) {
+      if (!entry[detailsKey]) {
+        entry[errorKey] = (res.status === 'rejected' && res.reason?.message) ||
+          value?.message || value?.error || 'Failed to fetch';
+      }
+      try { localStorage.setItem(lastErrKey, '1'); } catch {}
+      return false;
+    }
+
+    const empty = side === 'mobile' ? isMobileDetailsEmpty(value || {}) : isApiDetailsEmpty(value);
+    if (side === 'mobile') entry.mobileSearch = mobileOpts.searchKey;
+    if (empty) {
+      if (!entry[detailsKey]) {
+        try { localStorage.setItem(noDataKey, '1'); } catch {}
+      }
+    } else {
+      entry[detailsKey] = value;
+      if (side === 'mobile') entry.mobileVersions = mobileOpts.retrieve_android_version;
+      try { localStorage.removeItem(noDataKey); } catch {}
+    }
+    try { localStorage.removeItem(lastErrKey); } catch {}
+    return true;
+  };
+
+  const mobileOk = applySide(mobileRes, 'mobile');
+  const apiOk    = applySide(apiRes, 'api');
+  entry.loading = false;
+
+  try {
+    saveDomainCache(domain, entry, { mobile: needsMobileData && mobileOk, api: needsApiData && apiOk });
+  } catch (e) {
+    console.warn(`Failed to cache API data for ${domain}:`, e);
+  }
+
+  try { window.dispatchEvent(new CustomEvent('api-data-updated')); } catch {}
+  try { window.dispatchEvent(new CustomEvent('additional-domain-updated', { detail: { domain } })); } catch {}
+
+  if (mobileOk && apiOk) {
+    console.log(`✅ Data Retrieval — additional domain ${domain} loaded`);
+    return { status: 'ok' };
+  }
+  const details = [entry.mobileError && `Mobile: ${entry.mobileError}`, entry.apiError && `API: ${entry.apiError}`]
+    .filter(Boolean).join('  ');
+  console.warn(`⚠️ Additional domain ${domain} partially loaded — ${details}`);
+  return { status: (mobileOk || apiOk) ? 'partial' : 'error', details };
+}
+
+/**
+ * Forget an additional domain (cancels its in-flight load; cached payloads are kept).
+ */
+function removeAdditionalDomainData(domainArg) {
+  const domain = normalizeDomain(domainArg);
+  try { window.__apiLoadState.additional?.[domain]?.abort(); } catch {}
+  if (window.__apiLoadState.additional) delete window.__apiLoadState.additional[domain];
+  delete storedApiData.additionalDomains[domain];
+  try { window.dispatchEvent(new CustomEvent('api-data-updated')); } catch {}
+}
+
+/**
+ * Helper: Save one domain's data as apiData_<domain>.
+ * Mobile results are stored per search, so the other searches' results are carried over.
+ * `fetched` ({ mobile, api }) marks the sides refetched this run; what they replace is kept
+ * as the previous snapshot (snapshots.js).
+ */
+function saveDomainCache(domain, data, fetched = {}) {
+  let stored = null;
+  try { stored = JSON.parse(localStorage.getItem(`apiData_${domain}`) || 'null'); } catch {}
+  const previous = buildPreviousSnapshot(stored, data, fetched);
+  localStorage.setItem(`apiData_${domain}`, JSON.stringify({
+    mobileSearches: mergeMobileSearches(stored, data),
+    apiDetails: data.apiDetails,
+    timestamp: new Date().toISOString(),
+    ...(previous ? { previous } : {})
+  }));
+}
+
+/**
+ * Re-load mobile apps whose results no longer match the mobile options
+ * (another search mode, or app version lookup switched on). Cached API data is kept;
+ * a search that ran before comes straight from the cache.
+ * Only domains that were loaded before are refreshed.
+ */
+function refreshMobileAppData() {
+  const loads = [];
+  const primary = normalizeDomain(localStorage.getItem('enteredUrl') || '');
+  const primaryLoaded = storedApiData.mobileDetails || storedApiData.apiDetails || localStorage.getItem(`apiData_${primary}`);
+  if (primary && primaryLoaded && !isMobileCacheCurrent(storedApiData)) {
+    loads.push(loadApiDataInBackground(primary));
+  }
+
+  Object.entries(storedApiData.additionalDomains).forEach(([domain, entry]) => {
+    if (!isMobileCacheCurrent(entry)) loads.push(loadAdditionalDomainData(domain));
+  });
+  return Promise.all(loads);
+}
+
+/**
+ * Fetch every program domain again, ignoring the cache (Program Data popup "Refresh data").
+ */
+function refreshProgramData() {
+  const loads = [];
+  const primary = normalizeDomain(localStorage.getItem('enteredUrl') || '');
+  if (primary) loads.push(loadApiDataInBackground(primary, { force: true }));
+  Object.keys(storedApiData.additionalDomains).forEach(domain => {
+    loads.push(loadAdditionalDomainData(domain, { force: true }));
+  });
+  console.log(`🔄 Refreshing program data for ${loads.length} domain(s)`);
+  return Promise.all(loads);
+}
+
 /**
  * Public export: check if a domain resolves (backend).
  * - Normalizes the domain before sending (strips scheme/www/path).
@@ -1208,6 +1636,10 @@ export async function fetchMobileAppDetailsForDomain(
   if (typeof search_mode === 'object' && search_mode !== null) {
     opts = search_mode; search_mode = "app_name"; retrieve_android_version = false;
   }
+  // search_mode "app_ids" looks up explicit bundle IDs / package names instead of searching
+  if (search_mode === 'app_ids') {
+    return resolveMobileAppIds(opts.appIds || [], { retrieve_android_version, signal: opts.signal });
+  }
   return makeApiRequest(
     "mobile-app-details-for-domain",
     { domain: normalizeDomain(domain), search_mode, retrieve_android_version },
@@ -1215,6 +1647,70 @@ export async function fetchMobileAppDetailsForDomain(
   );
 }
 
+/**
+ * Helper: One App Store app by App Store ID (id123…) or bundle ID, from the iTunes Lookup API.
+ * Returns null when the store has no such app.
+ */
+async function lookupAppStoreApp(appId, { retrieve_android_version, signal }) {
+  const query = /^id\d+$/.test(appId) ? `id=${appId.slice(2)}` : `bundleId=${encodeURIComponent(appId)}`;
+  const res = await fetch(`${APP_STORE_LOOKUP_URL}?${query}`, { signal });
+  if (!res.ok) throw new Error(`App Store lookup responded HTTP ${res.status}`);
+
+  const item = (await res.json())?.results?.[0];
+  if (!item) return null;
+  return {
+    name: item.trackName,
+    platform: 'iOS',
+    url: item.trackViewUrl,
+    bundle_id: item.bundleId,
+    developer: item.artistName,
+    version: retrieve_android_version ? item.version : undefined
+  };
+}
+
+/**
+ * Helper: mobile-app-details payload for a list of store IDs (see parseMobileAppIds).
+ * App Store IDs and bundle IDs are looked up in the App Store. Google Play has no public lookup,
+ * so an ID the App Store does not know becomes a suggested Android app (its Play Store page),
+ * and one it does know is also offered as an Android alternative.
+ */
+async function resolveMobileAppIds(appIds, { retrieve_android_version = false, signal } = {}) {
+  // search_mode tells assets.js to keep each app's own name rather than one suggested name
+  const data = { search_mode: 'app_ids', suggested_apps: [], alternatives: { iOS: [], Android: [] } };
+  console.log('→ Looking up app IDs', appIds);
+
+  try {
+    for (const appId of appIds) {
+      const iosApp = await lookupAppStoreApp(appId, { retrieve_android_version, signal });
+      if (iosApp) data.suggested_apps.push(iosApp);
+      if (/^id\d+$/.test(appId)) {
+        if (!iosApp) console.warn(`App Store has no app ${appId}`);
+        continue;
+      }
+
+      const androidApp = {
+        name: iosApp?.name || appId,
+        platform: 'Android',
+        url: `${PLAY_STORE_APP_URL}?id=${encodeURIComponent(appId)}`,
+        package_name: appId,
+        developer: iosApp?.developer || ''
+      };
+      if (iosApp) data.alternatives.Android.push(androidApp);
+      else data.suggested_apps.push(androidApp);
+    }
+  } catch (e) {
+    if (e?.name === 'AbortError') throw e;
+    return {
+      error: true,
+      message: `Connection failed: ${e?.message || 'Network error'}`,
+      details: 'Could not look up the app IDs in the App Store.',
+      originalError: String(e)
+    };
+  }
+
+  return data;
+}
+
 /**
  * Public export: fetch API details
  */
@@ -1234,5 +1730,9 @@ export {
   storedApiData,
   checkDomainResolvable,
   setLoadingStateForInitialStep,
-  normalizeApiDetails
+  normalizeApiDetails,
+  loadAdditionalDomainData,
+  removeAdditionalDomainData,
+  refreshMobileAppData,
+  refreshProgramData
 };
@@ -0,0 +1,362 @@
+// assets.js — Shared asset model for the In-Scope block and the exporters
+// Keeps the scope text and every export format working from the same list.
+
+import {
+  getProgramDomains,
+  getWildcardScopes,
+  getThirdPartyHosts,
+  extractDomain,
+  getWebTarget,
+  formatWebTarget
+} from './domains.js';
+import { toUnicodeHost } from './hostnames.js';
+import {
+  getApiSubdomainHost,
+  isApiSubdomainIncluded,
+  getAppSelectionKey,
+  getApiSelectionKey,
+  getAssetSelection,
+  isAssetIncluded,
+  getAssetEligibility
+} from './selections.js';
+import { toScopeAsset } from './manualassets.js';
+
+/**
+ * Helper: Apply the Program Data curation of one app/API (see selections.js).
+ * Returns null when the asset is excluded; otherwise the asset with the user's edits.
+ * urlField is where the asset keeps its URL ('url' for apps, 'mainPage' for APIs).
+ * The edits are for display only: selectionKey (the key of the asset as returned) stays.
+ */
+function applySelection(asset, selection, includedByDefault, urlField, selectionKey) {
+  if (!isAssetIncluded(selection, includedByDefault)) return null;
+  const edited = { ...asset, selectionKey };
+  if (selection.name) edited.name = selection.name;
+  if (selection.url) edited[urlField] = selection.url;
+  if (selection.version) edited.scopeVersion = selection.version;
+  return edited;
+}
+
+/**
+ * Helper: Every app the backend returned, with whether config includes it by default.
+ * [{ app (as returned), renamed (as listed in scope), byDefault }]
+ */
+function getMobileAppCandidates(mobileDetails, config) {
+  if (!mobileDetails) return [];
+
+  const candidates = [];
+  const suggestedOnly = !!(config && config.suggestedAppsOnly);
+
+  // Main suggested apps
+  if (Array.isArray(mobileDetails.suggested_apps) && mobileDetails.suggested_apps.length > 0) {
+    const suggestedName = mobileDetails.search_mode === 'app_ids'
+      ? ''
+      : mobileDetails.suggested_name || mobileDetails.suggested_apps[0].name;
+
+    // iOS and Android suggested apps share the suggested name (apps found by ID keep their own)
+    mobileDetails.suggested_apps.forEach(app => {
+      candidates.push({ app, renamed: { ...app, name: suggestedName || app.name }, byDefault: true });
+    });
+  }
+
+  // Alternatives
+  if (mobileDetails.alternatives) {
+    ['iOS', 'Android'].forEach(platform => {
+      if (!Array.isArray(mobileDetails.alternatives[platform])) return;
+      mobileDetails.alternatives[platform].forEach(app => {
+        candidates.push({ app, renamed: { platform, ...app }, byDefault: !suggestedOnly });
+      });
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Helper: Every API the backend returned: [{ api, byDefault }]
+ */
+function getApiCandidates(apiData, config) {
+  if (!apiData) return [];
+
+  const candidates = [];
+  const suggestedOnly = !!(config && config.suggestedApisOnly);
+
+  if (Array.isArray(apiData.suggestedApis)) {
+    apiData.suggestedApis.forEach(api => candidates.push({ api, byDefault: true }));
+  }
+
+  if (Array.isArray(apiData.alternativeApis)) {
+    apiData.alternativeApis.forEach(api => candidates.push({ api, byDefault: !suggestedOnly }));
+  }
+
+  return candidates;
+}
+
+/**
+ * Helper: Collect all mobile apps to render based on config
+ * With a domain, the user's curation for that domain decides instead
+ * (config.suggestedAppsOnly then only sets the default for alternatives).
+ * Each app carries selectionKey, the getAppSelectionKey of the app as returned.
+ */
+function getMobileAppsToRender(mobileDetails, config, domain = null) {
+  const candidates = getMobileAppCandidates(mobileDetails, config);
+
+  if (domain === null) {
+    return candidates.filter(c => c.byDefault).map(c => ({ ...c.renamed, selectionKey: getAppSelectionKey(c.app) }));
+  }
+
+  return candidates
+    .map(c => {
+      const key = getAppSelectionKey(c.app);
+      return applySelection(c.renamed, getAssetSelection(domain, 'apps', key), c.byDefault, 'url', key);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Helper: Collect all APIs to render based on config
+ * With a domain, the user's curation for that domain decides (see getMobileAppsToRender).
+ */
+function getApisToRender(apiData, config, domain = null) {
+  const candidates = getApiCandidates(apiData, config);
+
+  if (domain === null) {
+    return candidates.filter(c => c.byDefault).map(c => ({ ...c.api, selectionKey: getApiSelectionKey(c.api) }));
+  }
+
+  return candidates
+    .map(c => {
+      const key = getApiSelectionKey(c.api);
+      return applySelection(c.api, getAssetSelection(domain, 'apis', key), c.byDefault, 'mainPage', key);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Helper: Data source per program domain.
+ * The primary domain lives at the top level of storedApiData, the others under additionalDomains.
+ */
+function getDomainSource(data, domain) {
+  const primary = extractDomain((localStorage.getItem('enteredUrl') || '').trim());
+  return domain === primary ? data : (data.additionalDomains?.[domain] || {});
+}
+
+/**
+ * Helper: Store identifier for a mobile app.
+ * iOS → bundle ID, else the numeric App Store ID from the URL (id123…)
+ * Android → package name, else the ?id= parameter of the Play Store URL
+ * Returns '' when nothing usable is known.
+ */
+function getAppStoreIdentifier(app) {
+  if (!app) return '';
+  const url = String(app.url || '');
+
+  if (app.platform === 'iOS') {
+    const explicit = app.bundle_id || app.bundleId;
+    if (explicit) return String(explicit);
+    const m = url.match(/\/id(\d+)/);
+    return m ? `id${m[1]}` : '';
+  }
+
+  if (app.platform === 'Android') {
+    const explicit = app.package_name || app.packageName || app.app_id;
+    if (explicit) return String(explicit);
+    try {
+      return new URL(url).searchParams.get('id') || '';
+    } catch {
+      return '';
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Helper: What a store identifier is called ("Bundle ID", "App Store ID" or "Package name").
+ */
+function getStoreIdLabel(platform, storeId) {
+  if (platform === 'Android') return 'Package name';
+  return /^id\d+$/.test(storeId || '') ? 'App Store ID' : 'Bundle ID';
+}
+
+/**
+ * Build the flat list of in-scope assets from the stored API data.
+ * Each entry has a "type" ('website' | 'wildcard' | 'mobile' | 'api' | 'apiSubdomain' | 'manual') plus its fields.
+ * Apps and APIs follow the per-domain curation from the Program Data popup
+ * (defaulting to suggestedAppsOnly / suggestedApisOnly).
+ * Websites, apps and APIs are merged across all program domains (primary + additional)
+ * and deduplicated, so an app or API found for two domains is listed once.
+ * Apps and APIs are keyed as the backend returned them (getAppSelectionKey / getApiSelectionKey):
+ * renaming one or correcting its URL keeps its eligibility and reward table.
+ */
+function collectScopeAssets(storedApiData, config) {
+  const data = storedApiData || {};
+  const domains = getProgramDomains();
+  const assets = [];
+  const seen = new Set();
+
+  // Every asset also carries its key and bounty eligibility ({ bountyEligible, maxSeverity })
+  const add = (key, asset) => {
+    const k = key.toLowerCase();
+    if (seen.has(k)) return;
+    seen.add(k);
+    assets.push({ ...asset, key: k, ...getAssetEligibility(k) });
+  };
+
+  const sourceFor = (domain) => getDomainSource(data, domain);
+
+  domains.forEach(domain => {
+    // Hosts are canonical ASCII (punycode); the name is the Unicode form people read.
+    // Scheme, port and path prefix come from the web target set in domains.js (bare host by default).
+    const { scheme, port, path } = getWebTarget(domain);
+    add(`website:${domain}`, {
+      type: 'website',
+      name: formatWebTarget({ scheme, host: domain, port, path }, { unicode: true }),
+      url: formatWebTarget({ scheme, host: domain, port, path }),
+      domain,
+      scheme,
+      port,
+      path
+    });
+  });
+
+  getWildcardScopes().forEach(({ pattern, exclusions }) => {
+    add(`wildcard:${pattern}`, { type: 'wildcard', name: toUnicodeHost(pattern), url: pattern, exclusions });
+  });
+
+  domains.forEach(domain => {
+    getMobileAppsToRender(sourceFor(domain).mobileDetails, config, domain).forEach(app => {
+      add(`mobile:${app.selectionKey}`, {
+        type: 'mobile',
+        name: app.name || 'Unknown App',
+        platform: app.platform || '',
+        url: app.url || '',
+        storeId: getAppStoreIdentifier(app),
+        version: app.version || '',
+        scopeVersion: app.scopeVersion || '',
+        developer: app.developer || '',
+        domain
+      });
+    });
+  });
+
+  domains.forEach(domain => {
+    getApisToRender(sourceFor(domain).apiDetails, config, domain).forEach(api => {
+      add(`api:${api.selectionKey}`, {
+        type: 'api',
+        name: api.name || 'Unknown API',
+        url: api.mainPage || '',
+        documentationUrls: Array.isArray(api.documentationUrls) ? api.documentationUrls : [],
+        scopeVersion: api.scopeVersion || '',
+        domain
+      });
+    });
+  });
+
+  // Discovered API hosts (apiSubdomains), unless unticked in the Program Data modal
+  // or already listed as the main page of an API above
+  const apiHosts = new Set(assets
+    .filter(a => a.type === 'api' && a.url)
+    .map(a => getApiSubdomainHost(a.url)));
+
+  domains.forEach(domain => {
+    const subdomains = sourceFor(domain).apiDetails?.apiSubdomains;
+    if (!Array.isArray(subdomains)) return;
+    subdomains.forEach(entry => {
+      const host = getApiSubdomainHost(entry);
+      if (!host || apiHosts.has(host) || !isApiSubdomainIncluded(domain, host)) return;
+      add(`apiSubdomain:${host}`, { type: 'apiSubdomain', name: host, url: host, domain });
+    });
+  });
+
+  // Manual assets (IP ranges, repositories, devices…) entered on the first page
+  (Array.isArray(data.manualAssets) ? data.manualAssets : []).forEach(entry => {
+    const asset = toScopeAsset(entry);
+    if (asset) add(`manual:${asset.kind}:${asset.name}`, asset);
+  });
+
+  return assets;
+}
+
+/**
+ * Assets explicitly excluded from the program (for the Out-of-Scope block and exporters).
+ * Each entry: { type, name, url, reason }. Combines wildcard exclusions, the apps, APIs and
+ * API hosts unticked in the Program Data popup, and the user-entered third-party hosts.
+ */
+function collectOutOfScopeAssets(storedApiData, config) {
+  const data = storedApiData || {};
+  const assets = [];
+  const seen = new Set();
+
+  const add = (key, asset) => {
+    const k = key.toLowerCase();
+    if (seen.has(k)) return;
+    seen.add(k);
+    assets.push(asset);
+  };
+
+  getWildcardScopes().forEach(({ pattern, exclusions }) => {
+    exclusions.forEach(host => {
+      add(`host:${host}`, {
+        type: host.startsWith('*.') ? 'wildcard' : 'website',
+        name: toUnicodeHost(host),
+        url: host,
+        reason: `excluded from ${toUnicodeHost(pattern)}`
+      });
+    });
+  });
+
+  // Only what the user deliberately excluded (not alternatives that are merely off by default)
+  getProgramDomains().forEach(domain => {
+    const source = getDomainSource(data, domain);
+
+    getMobileAppCandidates(source.mobileDetails, config).forEach(({ app, renamed }) => {
+      if (getAssetSelection(domain, 'apps', getAppSelectionKey(app)).included !== false) return;
+      add(`mobile:${getAppSelectionKey(app)}`, {
+        type: 'mobile',
+        name: renamed.name || 'Unknown App',
+        platform: renamed.platform || '',
+        url: app.url || '',
+        storeId: getAppStoreIdentifier(renamed),
+        reason: 'not part of this program'
+      });
+    });
+
+    getApiCandidates(source.apiDetails, config).forEach(({ api }) => {
+      if (getAssetSelection(domain, 'apis', getApiSelectionKey(api)).included !== false) return;
+      add(`api:${getApiSelectionKey(api)}`, {
+        type: 'api',
+        name: api.name || 'Unknown API',
+        url: api.mainPage || '',
+        documentationUrls: [],
+        reason: 'not part of this program'
+      });
+    });
+
+    (source.apiDetails?.apiSubdomains || []).forEach(entry => {
+      const host = getApiSubdomainHost(entry);
+      if (!host || isApiSubdomainIncluded(domain, host)) return;
+      add(`host:${host}`, { type: 'apiSubdomain', name: host, url: host, reason: 'not part of this program' });
+    });
+  });
+
+  getThirdPartyHosts().forEach(host => {
+    add(`host:${host}`, {
+      type: host.startsWith('*.') ? 'wildcard' : 'website',
+      name: toUnicodeHost(host),
+      url: host,
+      reason: 'third-party service'
+    });
+  });
+
+  return assets;
+}
+
+export {
+  getMobileAppsToRender,
+  getApisToRender,
+  getAppStoreIdentifier,
+  getStoreIdLabel,
+  getDomainSource,
+  collectScopeAssets,
+  collectOutOfScopeAssets
+};
@@ -0,0 +1,235 @@
+// budget.js — Bounty budget simulator: monthly and annual payouts of the selected tier
+// bountyBudget: valid reports per month, their share per severity (%) and an optional ceiling.
+
+import { SEVERITIES, SEVERITY_LABELS } from './selections.js';
+import { getSelectedRewardTier, getRewardRange } from './rewards.js';
+import { getRewardCurrency, formatAmount } from './currency.js';
+import { escapeHtml } from './html.js';
+
+const BUDGET_KEY = 'bountyBudget';
+const DEFAULT_BUDGET = {
+  reports: 5,
+  mix: { critical: 5, high: 15, medium: 40, low: 40 },
+  ceiling: null,
+  ceilingPeriod: 'month'
+};
+
+function getBudgetSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(BUDGET_KEY) || '{}') || {};
+  } catch {}
+
+  const number = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+  return {
+    reports: number(stored.reports, DEFAULT_BUDGET.reports),
+    mix: Object.fromEntries(SEVERITIES.map(s => [s, number(stored.mix?.[s], DEFAULT_BUDGET.mix[s])])),
+    ceiling: number(stored.ceiling, null),
+    ceilingPeriod: stored.ceilingPeriod === 'year' ? 'year' : 'month'
+  };
+}
+
+function saveBudgetSettings(settings) {
+  const isDefault = JSON.stringify(settings) === JSON.stringify(DEFAULT_BUDGET);
+  if (isDefault) localStorage.removeItem(BUDGET_KEY);
+  else localStorage.setItem(BUDGET_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Project the monthly and annual payouts of a tier.
+ * Returns { rows, monthly, annual, openEnded } where each row is
+ * { severity, count, range } (range null when the tier pays nothing at that severity) and
+ * monthly/annual are { min, max }. Open ranges ("$15,000+") count at their lower end
+ * and set `openEnded`, so the maximum is a floor rather than a cap.
+ */
+function projectBudget(tier, settings) {
+  let openEnded = false;
+  const rows = SEVERITIES.map(severity => {
+    const count = settings.reports * (settings.mix[severity] || 0) / 100;
+    const range = getRewardRange(tier, severity);
+    if (range && range.max === null) openEnded = openEnded || count > 0;
+    return { severity, count, range };
+  });
+
+  const monthly = rows.reduce((total, { count, range }) => {
+    if (!range) return total;
+    return {
+      min: total.min + count * range.min,
+      max: total.max + count * (range.max ?? range.min)
+    };
+  }, { min: 0, max: 0 });
+
+  return {
+    rows,
+    monthly,
+    annual: { min: monthly.min * 12, max: monthly.max * 12 },
+    openEnded
+  };
+}
+
+// Helper: "$1,250–$5,000" (or "$1,250" / "$1,250+")
+function formatProjectedRange({ min, max }, openEnded = false) {
+  const low = formatAmount(Math.round(min));
+  const high = formatAmount(Math.round(max));
+  if (openEnded) return `${low === high ? low : `${low}–${high}`}+`;
+  return low === high ? low : `${low}–${high}`;
+}
+
+/**
+ * Helper: Warning when the projection goes over the ceiling ('' when it fits or no ceiling is set).
+ */
+function getBudgetWarning(title, projection, settings) {
+  if (!settings.ceiling) return '';
+  const period = settings.ceilingPeriod === 'year' ? 'year' : 'month';
+  const projected = period === 'year' ? projection.annual : projection.monthly;
+  const ceiling = formatAmount(settings.ceiling);
+
+  if (projected.min > settings.ceiling) {
+    return `Even at the low end of its ranges, "${title}" costs about ${formatAmount(Math.round(projected.min))} per ${period}, over your ${ceiling} budget.`;
+  }
+  if (projected.max > settings.ceiling) {
+    return `At the top of its ranges, "${title}" could cost ${formatAmount(Math.round(projected.max))}${projection.openEnded ? '+' : ''} per ${period}, over your ${ceiling} budget.`;
+  }
+  if (projection.openEnded) {
+    return `"${title}" has open-ended rewards, so a single report could still take you over your ${ceiling} budget.`;
+  }
+  return '';
+}
+
+function renderBudgetMix() {
+  const container = document.getElementById('budgetMix');
+  if (!container) return;
+  const { mix } = getBudgetSettings();
+
+  container.innerHTML = '';
+  SEVERITIES.forEach(severity => {
+    const cell = document.createElement('label');
+    cell.className = 'flex flex-col gap-1 text-gray-700';
+    cell.innerHTML = `
+      <span class="font-medium">${SEVERITY_LABELS[severity]}</span>
+      <span class="flex items-center gap-1">
+        <input type="number" min="0" max="100" step="1" data-budget-mix="${severity}"
+          value="${mix[severity]}" class="w-16 px-2 py-1 border rounded">
+        <span class="text-gray-500">%</span>
+      </span>
+    `;
+    container.appendChild(cell);
+  });
+}
+
+/**
+ * Re-run the projection for the selected tier and show it in #budgetResult.
+ */
+function updateBudgetSimulator() {
+  const result = document.getElementById('budgetResult');
+  if (!result) return;
+  const codeEl = document.getElementById('budgetCurrencyCode');
+  if (codeEl) codeEl.textContent = getRewardCurrency();
+
+  const settings = getBudgetSettings();
+  const mixTotal = SEVERITIES.reduce((sum, s) => sum + settings.mix[s], 0);
+  if (Math.round(mixTotal) !== 100) {
+    result.innerHTML = `<p class="text-red-600">The severity mix adds up to ${Math.round(mixTotal)}%; it should total 100%.</p>`;
+    return;
+  }
+
+  const { tier, isSelected } = getSelectedRewardTier(window.rewards);
+  if (!isSelected || !tier) {
+    result.innerHTML = '<p class="text-gray-600">Select a reward tier to see what it could cost.</p>';
+    return;
+  }
+
+  const projection = projectBudget(tier, settings);
+  const rows = projection.rows
+    .filter(({ count }) => count > 0)
+    .map(({ severity, count, range }) => {
+      const openEnded = range?.max === null;
+      const each = range ? formatProjectedRange({ min: range.min, max: range.max ?? range.min }, openEnded) : 'no bounty';
+      const subtotal = range
+        ? formatProjectedRange({ min: count * range.min, max: count * (range.max ?? range.min) }, openEnded)
+        : formatAmount(0);
+      return `
+        <tr>
+          <td class="pr-3">${SEVERITY_LABELS[severity]}</td>
+          <td class="pr-3 text-right">${Number(count.toFixed(2))}</td>
+          <td class="pr-3">× ${each}</td>
+          <td class="text-right">${subtotal}</td>
+        </tr>`;
+    }).join('');
+
+  const warning = getBudgetWarning(tier.title, projection, settings);
+  result.innerHTML = `
+    <table class="text-gray-700 mb-2">
+      <thead>
+        <tr class="text-gray-500 text-left">
+          <th class="pr-3 font-normal">Severity</th>
+          <th class="pr-3 font-normal text-right">Reports / month</th>
+          <th class="pr-3 font-normal">Reward</th>
+          <th class="font-normal text-right">Per month</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p><strong>Monthly:</strong> ${formatProjectedRange(projection.monthly, projection.openEnded)}
+      &nbsp;·&nbsp; <strong>Annual:</strong> ${formatProjectedRange(projection.annual, projection.openEnded)}</p>
+    ${warning ? `<p class="mt-2 p-2 bg-yellow-50 border border-yellow-300 rounded text-yellow-800">⚠️ ${escapeHtml(warning)}</p>` : ''}
+  `;
+}
+
+function loadBudgetSimulator() {
+  const { reports, ceiling, ceilingPeriod } = getBudgetSettings();
+  const reportsInput = document.getElementById('budgetReports');
+  const ceilingInput = document.getElementById('budgetCeiling');
+  const periodSelect = document.getElementById('budgetCeilingPeriod');
+  if (reportsInput) reportsInput.value = String(reports);
+  if (ceilingInput) ceilingInput.value = ceiling === null ? '' : String(ceiling);
+  if (periodSelect) periodSelect.value = ceilingPeriod;
+  renderBudgetMix();
+  updateBudgetSimulator();
+}
+
+/**
+ * Wire the budget inputs; every change is saved and re-projected immediately.
+ */
+function setupBudgetSimulator() {
+  const section = document.getElementById('budgetSection');
+  if (!section) return;
+
+  section.addEventListener('input', (e) => {
+    const settings = getBudgetSettings();
+    const value = parseFloat(e.target.value);
+
+    if (e.target.id === 'budgetReports') {
+      settings.reports = Number.isFinite(value) && value >= 0 ? value : 0;
+    } else if (e.target.id === 'budgetCeiling') {
+      settings.ceiling = Number.isFinite(value) && value > 0 ? value : null;
+    } else if (e.target.matches('[data-budget-mix]')) {
+      settings.mix[e.target.dataset.budgetMix] = Number.isFinite(value) && value >= 0 ? value : 0;
+    } else {
+      return;
+    }
+    saveBudgetSettings(settings);
+    updateBudgetSimulator();
+  });
+
+  document.getElementById('budgetCeilingPeriod')?.addEventListener('change', (e) => {
+    saveBudgetSettings({ ...getBudgetSettings(), ceilingPeriod: e.target.value });
+    updateBudgetSimulator();
+  });
+
+  window.addEventListener('reward-tier-changed', updateBudgetSimulator);
+}
+
+function clearBudgetSimulator() {
+  localStorage.removeItem(BUDGET_KEY);
+  loadBudgetSimulator();
+}
+
+export {
+  BUDGET_KEY,
+  projectBudget,
+  setupBudgetSimulator,
+  loadBudgetSimulator,
+  updateBudgetSimulator,
+  clearBudgetSimulator
+};
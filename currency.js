@@ -0,0 +1,184 @@
+// currency.js — Reward currency: bundled exchange rates, conversion and formatting
+// Amounts in rewards.json (and custom tiers) are "$"-prefixed numbers in the tier's own
+// currency (USD unless the tier says otherwise). They are converted for display only,
+// so switching currency back and forth never drifts.
+//
+// The rate table below is bundled so no rate service is needed. Rates are approximate:
+// edit them here, or override one in the builder (saved as currencyRates in localStorage).
+
+const CURRENCY_KEY = 'rewardCurrency';
+const RATES_KEY = 'currencyRates';
+const BASE_CURRENCY = 'USD';
+
+// rate = units of the currency per 1 USD; locale drives the number and symbol format
+const CURRENCIES = {
+  USD: { label: 'US dollar', locale: 'en-US', rate: 1 },
+  EUR: { label: 'Euro', locale: 'en-IE', rate: 0.92 },
+  GBP: { label: 'British pound', locale: 'en-GB', rate: 0.79 },
+  AUD: { label: 'Australian dollar', locale: 'en-AU', rate: 1.52 }
+};
+
+function getRewardCurrency() {
+  const code = localStorage.getItem(CURRENCY_KEY);
+  return CURRENCIES[code] ? code : BASE_CURRENCY;
+}
+
+function getRateOverrides() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(RATES_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// Units of `code` per 1 USD (the override if one was saved)
+function getCurrencyRate(code) {
+  const override = Number(getRateOverrides()[code]);
+  if (code !== BASE_CURRENCY && Number.isFinite(override) && override > 0) return override;
+  return CURRENCIES[code]?.rate || 1;
+}
+
+/**
+ * Save a rate override for one currency. An empty or invalid value restores the bundled rate.
+ */
+function setCurrencyRate(code, rate) {
+  const overrides = getRateOverrides();
+  const value = Number(rate);
+  if (code !== BASE_CURRENCY && Number.isFinite(value) && value > 0 && value !== CURRENCIES[code]?.rate) {
+    overrides[code] = value;
+  } else {
+    delete overrides[code];
+  }
+  if (Object.keys(overrides).length) localStorage.setItem(RATES_KEY, JSON.stringify(overrides));
+  else localStorage.removeItem(RATES_KEY);
+}
+
+/**
+ * Helper: Round a converted amount to a figure a program would publish
+ * (5s under 100, 10s under 1,000, 50s under 10,000, then 100s).
+ */
+function roundAmount(n) {
+  const step = n < 100 ? 5 : n < 1000 ? 10 : n < 10000 ? 50 : 100;
+  return Math.max(step, Math.round(n / step) * step);
+}
+
+/**
+ * Convert an amount between currencies. Same currency: unchanged (no rounding).
+ */
+function convertAmount(amount, from = BASE_CURRENCY, to = getRewardCurrency()) {
+  if (from === to || !amount) return amount;
+  return roundAmount(amount / getCurrencyRate(from) * getCurrencyRate(to));
+}
+
+function formatAmount(amount, code = getRewardCurrency()) {
+  const { locale } = CURRENCIES[code] || CURRENCIES[BASE_CURRENCY];
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: code,
+    minimumFractionDigits: amount % 1 ? 2 : 0,
+    maximumFractionDigits: 2
+  }).format(amount);
+}
+
+// Symbol of a currency in its locale (for the "[Lower Range]" placeholders)
+function getCurrencySymbol(code = getRewardCurrency()) {
+  const { locale } = CURRENCIES[code] || CURRENCIES[BASE_CURRENCY];
+  const part = new Intl.NumberFormat(locale, { style: 'currency', currency: code })
+    .formatToParts(0)
+    .find(p => p.type === 'currency');
+  return part ? part.value : code;
+}
+
+/**
+ * Reward text in the selected currency (or `to`): every "$<number>" in `text` is converted
+ * from `from` and formatted, the rest is kept ("Thanks or $10–$50" → "Thanks or €10–€45").
+ */
+function formatRewardText(text, from = BASE_CURRENCY, to = getRewardCurrency()) {
+  return String(text || '').replace(/\$\s?([\d,]+(?:\.\d+)?)/g, (match, digits) => {
+    const amount = Number(digits.replace(/,/g, ''));
+    return Number.isFinite(amount) ? formatAmount(convertAmount(amount, from, to), to) : match;
+  });
+}
+
+/**
+ * Helper: A parsed range ({ min, max }) in the selected currency.
+ */
+function convertRewardRange(range, from = BASE_CURRENCY) {
+  if (!range) return null;
+  return {
+    min: convertAmount(range.min, from),
+    max: range.max === null ? null : convertAmount(range.max, from)
+  };
+}
+
+function loadCurrencySelector() {
+  const select = document.getElementById('rewardCurrency');
+  const rateWrap = document.getElementById('rewardCurrencyRate');
+  const rateInput = document.getElementById('rewardCurrencyRateInput');
+  const code = getRewardCurrency();
+  if (select) select.value = code;
+  if (rateWrap) rateWrap.classList.toggle('hidden', code === BASE_CURRENCY);
+  if (rateInput) {
+    rateInput.value = String(getCurrencyRate(code));
+    rateInput.placeholder = String(CURRENCIES[code].rate);
+  }
+  const codeEl = document.getElementById('rewardCurrencyCode');
+  if (codeEl) codeEl.textContent = code;
+}
+
+/**
+ * Wire the currency selector. `onChange` runs after the currency or a rate was saved
+ * (script.js re-renders the tier cards).
+ */
+function setupCurrencySelector(onChange) {
+  const select = document.getElementById('rewardCurrency');
+  const rateInput = document.getElementById('rewardCurrencyRateInput');
+  if (!select) return;
+
+  select.innerHTML = '';
+  Object.entries(CURRENCIES).forEach(([code, { label }]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = `${code} – ${label}`;
+    select.appendChild(option);
+  });
+
+  const notify = () => { if (typeof onChange === 'function') onChange(); };
+
+  select.addEventListener('change', () => {
+    if (select.value === BASE_CURRENCY) localStorage.removeItem(CURRENCY_KEY);
+    else localStorage.setItem(CURRENCY_KEY, select.value);
+    console.log(`💱 Reward currency: ${getRewardCurrency()}`);
+    loadCurrencySelector();
+    notify();
+  });
+
+  rateInput?.addEventListener('change', () => {
+    setCurrencyRate(getRewardCurrency(), rateInput.value);
+    console.log(`💱 1 ${BASE_CURRENCY} = ${getCurrencyRate(getRewardCurrency())} ${getRewardCurrency()}`);
+    loadCurrencySelector();
+    notify();
+  });
+}
+
+function clearCurrencySettings() {
+  [CURRENCY_KEY, RATES_KEY].forEach(key => localStorage.removeItem(key));
+  loadCurrencySelector();
+}
+
+export {
+  BASE_CURRENCY,
+  CURRENCIES,
+  getRewardCurrency,
+  getCurrencyRate,
+  setCurrencyRate,
+  convertAmount,
+  formatAmount,
+  getCurrencySymbol,
+  formatRewardText,
+  convertRewardRange,
+  setupCurrencySelector,
+  loadCurrencySelector,
+  clearCurrencySettings
+};
@@ -0,0 +1,296 @@
+// cvss.js — CVSS v3.1 and v4.0 base scores (severity.js builds the calculator on top)
+// v3.1 follows the specification's equations: https://www.first.org/cvss/v3.1/specification-document
+// v4.0 follows FIRST's reference calculator (https://github.com/FIRSTdotorg/cvss-v4-calculator):
+// a vector scores as its MacroVector (the lookup table below) minus the mean proportional
+// distance to the next lower MacroVectors. Only base metrics are scored; threat and
+// environmental metrics keep their worst-case defaults (E:A, CR/IR/AR:H).
+
+const CVSS_VERSIONS = ['3.1', '4.0'];
+
+// Base metrics in vector order, with the values offered by the calculator (most severe first)
+const CVSS_METRICS = {
+  '3.1': [
+    { key: 'AV', label: 'Attack Vector', values: { N: 'Network', A: 'Adjacent', L: 'Local', P: 'Physical' } },
+    { key: 'AC', label: 'Attack Complexity', values: { L: 'Low', H: 'High' } },
+    { key: 'PR', label: 'Privileges Required', values: { N: 'None', L: 'Low', H: 'High' } },
+    { key: 'UI', label: 'User Interaction', values: { N: 'None', R: 'Required' } },
+    { key: 'S', label: 'Scope', values: { U: 'Unchanged', C: 'Changed' } },
+    { key: 'C', label: 'Confidentiality', values: { H: 'High', L: 'Low', N: 'None' } },
+    { key: 'I', label: 'Integrity', values: { H: 'High', L: 'Low', N: 'None' } },
+    { key: 'A', label: 'Availability', values: { H: 'High', L: 'Low', N: 'None' } }
+  ],
+  '4.0': [
+    { key: 'AV', label: 'Attack Vector', values: { N: 'Network', A: 'Adjacent', L: 'Local', P: 'Physical' } },
+    { key: 'AC', label: 'Attack Complexity', values: { L: 'Low', H: 'High' } },
+    { key: 'AT', label: 'Attack Requirements', values: { N: 'None', P: 'Present' } },
+    { key: 'PR', label: 'Privileges Required', values: { N: 'None', L: 'Low', H: 'High' } },
+    { key: 'UI', label: 'User Interaction', values: { N: 'None', P: 'Passive', A: 'Active' } },
+    { key: 'VC', label: 'Confidentiality (vulnerable system)', values: { H: 'High', L: 'Low', N: 'None' } },
+    { key: 'VI', label: 'Integrity (vulnerable system)', values: { H: 'High', L: 'Low', N: 'None' } },
+    { key: 'VA', label: 'Availability (vulnerable system)', values: { H: 'High', L: 'Low', N: 'None' } },
+    { key: 'SC', label: 'Confidentiality (subsequent systems)', values: { H: 'High', L: 'Low', N: 'None' } },
+    { key: 'SI', label: 'Integrity (subsequent systems)', values: { H: 'High', L: 'Low', N: 'None' } },
+    { key: 'SA', label: 'Availability (subsequent systems)', values: { H: 'High', L: 'Low', N: 'None' } }
+  ]
+};
+
+// ─── v3.1 ───
+
+const WEIGHTS_31 = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+// Helper: Privileges Required weight depends on Scope
+function privilegesWeight31(pr, scope) {
+  if (pr === 'N') return 0.85;
+  if (pr === 'L') return scope === 'C' ? 0.68 : 0.62;
+  return scope === 'C' ? 0.5 : 0.27;
+}
+
+// Helper: Round up to one decimal (specification, Appendix A)
+function roundUp31(value) {
+  const int = Math.round(value * 100000);
+  return int % 10000 === 0 ? int / 100000 : (Math.floor(int / 10000) + 1) / 10;
+}
+
+function scoreCvss31(m) {
+  const iss = 1 - (1 - WEIGHTS_31.CIA[m.C]) * (1 - WEIGHTS_31.CIA[m.I]) * (1 - WEIGHTS_31.CIA[m.A]);
+  const changed = m.S === 'C';
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+  const exploitability = 8.22 * WEIGHTS_31.AV[m.AV] * WEIGHTS_31.AC[m.AC] *
+    privilegesWeight31(m.PR, m.S) * WEIGHTS_31.UI[m.UI];
+
+  if (impact <= 0) return 0;
+  return roundUp31(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+// ─── v4.0 ───
+
+// MacroVector (EQ1..EQ6) → score of its highest severity vector
+const CVSS40_LOOKUP = {
+  '000000': 10, '000001': 9.9, '000010': 9.8, '000011': 9.5, '000020': 9.5, '000021': 9.2, '000100': 10, '000101': 9.6,
+  '000110': 9.3, '000111': 8.7, '000120': 9.1, '000121': 8.1, '000200': 9.3, '000201': 9, '000210': 8.9, '000211': 8,
+  '000220': 8.1, '000221': 6.8, '001000': 9.8, '001001': 9.5, '001010': 9.5, '001011': 9.2, '001020': 9, '001021': 8.4,
+  '001100': 9.3, '001101': 9.2, '001110': 8.9, '001111': 8.1, '001120': 8.1, '001121': 6.5, '001200': 8.8, '001201': 8,
+  '001210': 7.8, '001211': 7, '001220': 6.9, '001221': 4.8, '002001': 9.2, '002011': 8.2, '002021': 7.2, '002101': 7.9,
+  '002111': 6.9, '002121': 5, '002201': 6.9, '002211': 5.5, '002221': 2.7, '010000': 9.9, '010001': 9.7, '010010': 9.5,
+  '010011': 9.2, '010020': 9.2, '010021': 8.5, '010100': 9.5, '010101': 9.1, '010110': 9, '010111': 8.3, '010120': 8.4,
+  '010121': 7.1, '010200': 9.2, '010201': 8.1, '010210': 8.2, '010211': 7.1, '010220': 7.2, '010221': 5.3, '011000': 9.5,
+  '011001': 9.3, '011010': 9.2, '011011': 8.5, '011020': 8.5, '011021': 7.3, '011100': 9.2, '011101': 8.2, '011110': 8,
+  '011111': 7.2, '011120': 7, '011121': 5.9, '011200': 8.4, '011201': 7, '011210': 7.1, '011211': 5.2, '011220': 5,
+  '011221': 3, '012001': 8.6, '012011': 7.5, '012021': 5.2, '012101': 7.1, '012111': 5.2, '012121': 2.9, '012201': 6.3,
+  '012211': 2.9, '012221': 1.7, '100000': 9.8, '100001': 9.5, '100010': 9.4, '100011': 8.7, '100020': 9.1, '100021': 8.1,
+  '100100': 9.4, '100101': 8.9, '100110': 8.6, '100111': 7.4, '100120': 7.7, '100121': 6.4, '100200': 8.7, '100201': 7.5,
+  '100210': 7.4, '100211': 6.3, '100220': 6.3, '100221': 4.9, '101000': 9.4, '101001': 8.9, '101010': 8.8, '101011': 7.7,
+  '101020': 7.6, '101021': 6.7, '101100': 8.6, '101101': 7.6, '101110': 7.4, '101111': 5.8, '101120': 5.9, '101121': 5,
+  '101200': 7.2, '101201': 5.7, '101210': 5.7, '101211': 5.2, '101220': 5.2, '101221': 2.5, '102001': 8.3, '102011': 7,
+  '102021': 5.4, '102101': 6.5, '102111': 5.8, '102121': 2.6, '102201': 5.3, '102211': 2.1, '102221': 1.3, '110000': 9.5,
+  '110001': 9, '110010': 8.8, '110011': 7.6, '110020': 7.6, '110021': 7, '110100': 9, '110101': 7.7, '110110': 7.5,
+  '110111': 6.2, '110120': 6.1, '110121': 5.3, '110200': 7.7, '110201': 6.6, '110210': 6.8, '110211': 5.9, '110220': 5.2,
+  '110221': 3, '111000': 8.9, '111001': 7.8, '111010': 7.6, '111011': 6.7, '111020': 6.2, '111021': 5.8, '111100': 7.4,
+  '111101': 5.9, '111110': 5.7, '111111': 5.7, '111120': 4.7, '111121': 2.3, '111200': 6.1, '111201': 5.2, '111210': 5.7,
+  '111211': 2.9, '111220': 2.4, '111221': 1.6, '112001': 7.1, '112011': 5.9, '112021': 3, '112101': 5.8, '112111': 2.6,
+  '112121': 1.5, '112201': 2.3, '112211': 1.3, '112221': 0.6, '200000': 9.3, '200001': 8.7, '200010': 8.6, '200011': 7.2,
+  '200020': 7.5, '200021': 5.8, '200100': 8.6, '200101': 7.4, '200110': 7.4, '200111': 6.1, '200120': 5.6, '200121': 3.4,
+  '200200': 7, '200201': 5.4, '200210': 5.2, '200211': 4, '200220': 4, '200221': 2.2, '201000': 8.5, '201001': 7.5,
+  '201010': 7.4, '201011': 5.5, '201020': 6.2, '201021': 5.1, '201100': 7.2, '201101': 5.7, '201110': 5.5, '201111': 4.1,
+  '201120': 4.6, '201121': 1.9, '201200': 5.3, '201201': 3.6, '201210': 3.4, '201211': 1.9, '201220': 1.9, '201221': 0.8,
+  '202001': 6.4, '202011': 5.1, '202021': 2, '202101': 4.7, '202111': 2.1, '202121': 1.1, '202201': 2.4, '202211': 0.9,
+  '202221': 0.4, '210000': 8.8, '210001': 7.5, '210010': 7.3, '210011': 5.3, '210020': 6, '210021': 5, '210100': 7.3,
+  '210101': 5.5, '210110': 5.9, '210111': 4, '210120': 4.1, '210121': 2, '210200': 5.4, '210201': 4.3, '210210': 4.5,
+  '210211': 2.2, '210220': 2, '210221': 1.1, '211000': 7.5, '211001': 5.5, '211010': 5.8, '211011': 4.5, '211020': 4,
+  '211021': 2.1, '211100': 6.1, '211101': 5.1, '211110': 4.8, '211111': 1.8, '211120': 2, '211121': 0.9, '211200': 4.6,
+  '211201': 1.8, '211210': 1.7, '211211': 0.7, '211220': 0.8, '211221': 0.2, '212001': 5.3, '212011': 2.4, '212021': 1.4,
+  '212101': 2.4, '212111': 1.2, '212121': 0.5, '212201': 1, '212211': 0.3, '212221': 0.1
+};
+
+// Highest severity vectors of each EQ level (EQ3 and EQ6 are scored together)
+const CVSS40_MAX_COMPOSED = {
+  eq1: {
+    0: ['AV:N/PR:N/UI:N'],
+    1: ['AV:A/PR:N/UI:N', 'AV:N/PR:L/UI:N', 'AV:N/PR:N/UI:P'],
+    2: ['AV:P/PR:N/UI:N', 'AV:A/PR:L/UI:P']
+  },
+  eq2: {
+    0: ['AC:L/AT:N'],
+    1: ['AC:H/AT:N', 'AC:L/AT:P']
+  },
+  eq3: {
+    0: {
+      0: ['VC:H/VI:H/VA:H/CR:H/IR:H/AR:H'],
+      1: ['VC:H/VI:H/VA:L/CR:M/IR:M/AR:H', 'VC:H/VI:H/VA:H/CR:M/IR:M/AR:M']
+    },
+    1: {
+      0: ['VC:L/VI:H/VA:H/CR:H/IR:H/AR:H', 'VC:H/VI:L/VA:H/CR:H/IR:H/AR:H'],
+      1: [
+        'VC:L/VI:H/VA:L/CR:H/IR:M/AR:H', 'VC:L/VI:H/VA:H/CR:H/IR:M/AR:M', 'VC:H/VI:L/VA:H/CR:M/IR:H/AR:M',
+        'VC:H/VI:L/VA:L/CR:M/IR:H/AR:H', 'VC:L/VI:L/VA:H/CR:H/IR:H/AR:M'
+      ]
+    },
+    2: { 1: ['VC:L/VI:L/VA:L/CR:H/IR:H/AR:H'] }
+  },
+  eq4: {
+    0: ['SC:H/SI:S/SA:S'],
+    1: ['SC:H/SI:H/SA:H'],
+    2: ['SC:L/SI:L/SA:L']
+  }
+};
+
+// Depth (max severity distance + 1) of each EQ level
+const CVSS40_MAX_SEVERITY = {
+  eq1: { 0: 1, 1: 4, 2: 5 },
+  eq2: { 0: 1, 1: 2 },
+  eq3eq6: { 0: { 0: 7, 1: 6 }, 1: { 0: 8, 1: 8 }, 2: { 1: 10 } },
+  eq4: { 0: 6, 1: 5, 2: 4 }
+};
+
+// Severity distance steps of each metric value (0 = most severe)
+const CVSS40_LEVELS = {
+  AV: { N: 0, A: 0.1, L: 0.2, P: 0.3 },
+  PR: { N: 0, L: 0.1, H: 0.2 },
+  UI: { N: 0, P: 0.1, A: 0.2 },
+  AC: { L: 0, H: 0.1 },
+  AT: { N: 0, P: 0.1 },
+  VC: { H: 0, L: 0.1, N: 0.2 },
+  VI: { H: 0, L: 0.1, N: 0.2 },
+  VA: { H: 0, L: 0.1, N: 0.2 },
+  SC: { H: 0.1, L: 0.2, N: 0.3 },
+  SI: { S: 0, H: 0.1, L: 0.2, N: 0.3 },
+  SA: { S: 0, H: 0.1, L: 0.2, N: 0.3 },
+  CR: { H: 0, M: 0.1, L: 0.2 },
+  IR: { H: 0, M: 0.1, L: 0.2 },
+  AR: { H: 0, M: 0.1, L: 0.2 }
+};
+
+// Helper: MacroVector of a base vector ("000000".."212221")
+function macroVector40(m) {
+  const eq1 = m.AV === 'N' && m.PR === 'N' && m.UI === 'N' ? 0
+    : (m.AV === 'N' || m.PR === 'N' || m.UI === 'N') && m.AV !== 'P' ? 1 : 2;
+  const eq2 = m.AC === 'L' && m.AT === 'N' ? 0 : 1;
+  const eq3 = m.VC === 'H' && m.VI === 'H' ? 0
+    : m.VC === 'H' || m.VI === 'H' || m.VA === 'H' ? 1 : 2;
+  const eq4 = m.SI === 'S' || m.SA === 'S' ? 0
+    : m.SC === 'H' || m.SI === 'H' || m.SA === 'H' ? 1 : 2;
+  const eq5 = { A: 0, P: 1, U: 2 }[m.E];
+  const eq6 = (m.CR === 'H' && m.VC === 'H') || (m.IR === 'H' && m.VI === 'H') || (m.AR === 'H' && m.VA === 'H') ? 0 : 1;
+  return `${eq1}${eq2}${eq3}${eq4}${eq5}${eq6}`;
+}
+
+function scoreCvss40(base) {
+  const m = { E: 'A', CR: 'H', IR: 'H', AR: 'H', ...base };
+  if (['VC', 'VI', 'VA', 'SC', 'SI', 'SA'].every(k => m[k] === 'N')) return 0;
+
+  const macro = macroVector40(m);
+  const [eq1, eq2, eq3, eq4, eq5, eq6] = [...macro].map(Number);
+  const value = CVSS40_LOOKUP[macro];
+  const lookup = (...eqs) => CVSS40_LOOKUP[eqs.join('')] ?? NaN;
+
+  // Score of the next lower MacroVector of each EQ (NaN when there is none)
+  let lowerEq3Eq6;
+  if (eq3 === 0 && eq6 === 0) {
+    lowerEq3Eq6 = Math.max(lookup(eq1, eq2, eq3, eq4, eq5, eq6 + 1), lookup(eq1, eq2, eq3 + 1, eq4, eq5, eq6));
+  } else if (eq3 === 1 && eq6 === 0) {
+    lowerEq3Eq6 = lookup(eq1, eq2, eq3, eq4, eq5, eq6 + 1);
+  } else if (eq6 === 1 && eq3 < 2) {
+    lowerEq3Eq6 = lookup(eq1, eq2, eq3 + 1, eq4, eq5, eq6);
+  } else {
+    lowerEq3Eq6 = NaN;
+  }
+  const lower = {
+    eq1: lookup(eq1 + 1, eq2, eq3, eq4, eq5, eq6),
+    eq2: lookup(eq1, eq2 + 1, eq3, eq4, eq5, eq6),
+    eq3eq6: lowerEq3Eq6,
+    eq4: lookup(eq1, eq2, eq3, eq4 + 1, eq5, eq6),
+    eq5: lookup(eq1, eq2, eq3, eq4, eq5 + 1, eq6)
+  };
+
+  // Severity distance to the first highest severity vector of the MacroVector that is at least as severe
+  const maxVectors = [];
+  CVSS40_MAX_COMPOSED.eq1[eq1].forEach(a => CVSS40_MAX_COMPOSED.eq2[eq2].forEach(b =>
+    CVSS40_MAX_COMPOSED.eq3[eq3][eq6].forEach(c => CVSS40_MAX_COMPOSED.eq4[eq4].forEach(d =>
+      maxVectors.push(parseVectorMetrics([a, b, c, d].join('/')))))));
+
+  let distance = {};
+  for (const max of maxVectors) {
+    distance = Object.fromEntries(Object.keys(CVSS40_LEVELS)
+      .map(k => [k, CVSS40_LEVELS[k][m[k]] - CVSS40_LEVELS[k][max[k]]]));
+    if (Object.values(distance).every(d => d >= 0)) break;
+  }
+  const current = {
+    eq1: distance.AV + distance.PR + distance.UI,
+    eq2: distance.AC + distance.AT,
+    eq3eq6: distance.VC + distance.VI + distance.VA + distance.CR + distance.IR + distance.AR,
+    eq4: distance.SC + distance.SI + distance.SA,
+    eq5: 0
+  };
+  const depth = {
+    eq1: CVSS40_MAX_SEVERITY.eq1[eq1],
+    eq2: CVSS40_MAX_SEVERITY.eq2[eq2],
+    eq3eq6: CVSS40_MAX_SEVERITY.eq3eq6[eq3][eq6],
+    eq4: CVSS40_MAX_SEVERITY.eq4[eq4],
+    eq5: 1
+  };
+
+  // Mean of the proportional distances over the EQs that have a lower MacroVector
+  const existing = Object.keys(lower).filter(eq => !Number.isNaN(lower[eq]));
+  const mean = existing.length
+    ? existing.reduce((sum, eq) => sum + (value - lower[eq]) * (current[eq] / (depth[eq] * 0.1)), 0) / existing.length
+    : 0;
+
+  // Rounded half up to one decimal; the epsilon keeps e.g. 8.549999… (8.55) from rounding down
+  const score = Math.min(10, Math.max(0, value - mean));
+  return Math.round((score + 1e-6) * 10) / 10;
+}
+
+// ─── Vectors ───
+
+// Helper: "AV:N/AC:L/..." → { AV: 'N', AC: 'L', ... }
+function parseVectorMetrics(text) {
+  return Object.fromEntries(String(text).split('/').filter(Boolean).map(part => part.split(':')));
+}
+
+/**
+ * Parse a CVSS vector ("CVSS:3.1/AV:N/…" or "CVSS:4.0/AV:N/…"; 3.0 vectors score as 3.1).
+ * Returns { version, metrics } with the base metrics, or null when the vector is incomplete or invalid.
+ */
+function parseCvssVector(vector) {
+  const match = /^CVSS:(3\.[01]|4\.0)\/(.+)$/i.exec(String(vector || '').trim());
+  if (!match) return null;
+
+  const version = match[1] === '4.0' ? '4.0' : '3.1';
+  const parsed = parseVectorMetrics(match[2].toUpperCase());
+  const metrics = {};
+  for (const { key, values } of CVSS_METRICS[version]) {
+    if (!(parsed[key] in values)) return null;
+    metrics[key] = parsed[key];
+  }
+  return { version, metrics };
+}
+
+function buildCvssVector(version, metrics) {
+  const parts = CVSS_METRICS[version].map(({ key }) => `${key}:${metrics[key]}`);
+  return `CVSS:${version}/${parts.join('/')}`;
+}
+
+/**
+ * Base score of a vector string, or null when it can't be parsed.
+ * Returns { version, score, vector } (vector normalized to the base metrics).
+ */
+function getCvssScore(vector) {
+  const parsed = parseCvssVector(vector);
+  if (!parsed) return null;
+  const { version, metrics } = parsed;
+  const score = version === '4.0' ? scoreCvss40(metrics) : scoreCvss31(metrics);
+  return { version, score, vector: buildCvssVector(version, metrics) };
+}
+
+export {
+  CVSS_VERSIONS,
+  CVSS_METRICS,
+  parseCvssVector,
+  buildCvssVector,
+  getCvssScore
+};
@@ -0,0 +1,770 @@
+// domains.js — Domain validation/normalisation and the program's additional root domains
+// The primary domain stays in localStorage 'enteredUrl'; other root domains (e.g. a regional
+// .co.uk or a product brand) are stored as a JSON array in 'additionalDomains'.
+// Wildcard hosts (*.example.com) are a separate asset kind in 'wildcardScopes':
+// [{ pattern: '*.example.com', exclusions: ['staging.example.com'] }]. They are not fetched.
+// Third-party hosts (e.g. a hosted help desk) are listed as out of scope: 'thirdPartyHosts'.
+// Every list stores canonical ASCII hosts (hostnames.js); the UI shows their Unicode form.
+// Websites (primary + additional domains) are scheme + host + optional port + path prefix;
+// non-default parts are kept per host in 'webTargets': { "example.com": { scheme: 'http', port: '8080', path: '/app/' } }.
+
+import {
+  checkDomainResolvable,
+  loadAdditionalDomainData,
+  removeAdditionalDomainData,
+  storedApiData
+} from './api.js';
+import { canonicalizeHost, getRegistrableDomain, hasValidIdnLabels, toUnicodeHost } from './hostnames.js';
+
+const ADDITIONAL_DOMAINS_KEY = 'additionalDomains';
+const WILDCARDS_KEY = 'wildcardScopes';
+const THIRD_PARTY_KEY = 'thirdPartyHosts';
+const WEB_TARGETS_KEY = 'webTargets';
+
+// DNS verdicts per additional domain: true | false | null (unknown)
+const resolveVerdicts = new Map();
+
+// Replace your TLD-based validator with this policy-driven one (stricter)
+// - Accepts either a full URL or a bare hostname
+// - Requires at least one dot (e.g. example.com)
+// - Enforces label/TLD rules (letters/digits/hyphen, no leading/trailing hyphen) on the punycode form,
+//   so IDNs like bücher.de are accepted as xn--bcher-kva.de
+// - Rejects public suffixes themselves (co.uk, github.io, *.co.uk) using the bundled list
+// - Keeps the scheme allowlist behavior and the localhost rejection
+// - allowWildcard: also accept a leading "*." label (e.g. *.example.com)
+// - allowPath: also accept a bare host followed by a path (e.g. example.com/app/); the path itself
+//   is checked by normalizeWebTargetParts
+function isValidDomainOrUrl(input, { allowHttp = false, allowWildcard = false, allowPath = false } = {}) {
+  try {
+    const s = String(input || '').trim();
+    if (!s) return false;
+
+    let host = '';
+
+    // Accept bare hostnames like "example.com" or a full URL
+    if (/^https?:\/\//i.test(s)) {
+      const url = new URL(s);
+      // 1) Scheme allowlist
+      const scheme = url.protocol.replace(':','').toLowerCase();
+      if (!(scheme === 'https' || (allowHttp && scheme === 'http'))) return false;
+      host = url.hostname;
+    } else {
+      // No scheme: treat as a host; reject spaces, and a path unless allowed
+      if (/\s/.test(s)) return false;
+      const slash = s.indexOf('/');
+      if (slash >= 0 && !allowPath) return false;
+      host = slash >= 0 ? s.slice(0, slash) : s;
+    }
+
+    // Normalise (lowercase, punycode, www.)
+    host = canonicalizeHost(host);
+    if (!host) return false;
+
+    // Wildcard: validate the rest as a normal host (so "*.com" is still rejected)
+    if (host.startsWith('*.')) {
+      if (!allowWildcard) return false;
+      host = host.slice(2);
+    }
+
+    // 2) Optional: reject obvious private hosts unless you want them
+    if (/\blocal(host)?$/.test(host)) return false;
+
+    // 3) Must contain at least one dot
+    const labels = host.split('.');
+    if (labels.length < 2) return false;
+
+    // 4) TLD sanity: letters only (or an IDN TLD in punycode form), 2–63 chars
+    const tld = labels[labels.length - 1];
+    if (!/^([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/i.test(tld)) return false;
+
+    // 5) Label rules: 1–63 chars, letters/digits/hyphen, no leading/trailing hyphen; xn-- labels must decode
+    const labelRe = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i;
+    if (!labels.every(l => labelRe.test(l)) || !hasValidIdnLabels(host)) return false;
+
+    // 6) Must be below a public suffix (example.co.uk, not co.uk)
+    return !!getRegistrableDomain(host);
+  } catch {
+    return false;
+  }
+}
+
+// "*.example.com" — a wildcard only ever replaces the whole leftmost label
+function isWildcardHost(host) {
+  return /^\*\.[^*]+$/.test(String(host || ''));
+}
+
+// Canonical domain of a URL or host (see hostnames.js); falls back to the lowercased input
+function extractDomain(input) {
+  return canonicalizeHost(input) || String(input || '').trim().toLowerCase();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Web targets (scheme + host + port + path prefix of a website)
+// ─────────────────────────────────────────────────────────────
+
+const DEFAULT_PORTS = { https: '443', http: '80' };
+
+function getWebTargets() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(WEB_TARGETS_KEY) || '{}');
+    return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The scoped URL parts of one website: { scheme, host, port, path }.
+ * Defaults to the whole site over HTTPS (no port, no path prefix).
+ */
+function getWebTarget(host) {
+  const stored = getWebTargets()[host] || {};
+  return {
+    scheme: stored.scheme === 'http' ? 'http' : 'https',
+    host,
+    port: stored.port || '',
+    path: stored.path || ''
+  };
+}
+
+/**
+ * Helper: Validate and normalise the scheme, port and path prefix of a web target.
+ * Returns { parts } or { error }. Default ports and a bare "/" path are dropped;
+ * non-ASCII path characters are percent-encoded.
+ */
+function normalizeWebTargetParts({ scheme = 'https', port = '', path = '' } = {}) {
+  const cleanScheme = String(scheme).trim().toLowerCase();
+  if (!DEFAULT_PORTS[cleanScheme]) return { error: 'Only http:// and https:// sites can be in scope.' };
+
+  let cleanPort = String(port).trim();
+  if (cleanPort && (!/^\d{1,5}$/.test(cleanPort) || Number(cleanPort) < 1 || Number(cleanPort) > 65535)) {
+    return { error: 'The port must be a number from 1 to 65535.' };
+  }
+  cleanPort = cleanPort ? String(Number(cleanPort)) : '';
+  if (cleanPort === DEFAULT_PORTS[cleanScheme]) cleanPort = '';
+
+  let cleanPath = String(path).trim();
+  if (/[?#]/.test(cleanPath)) return { error: 'Enter a path prefix only (no ?query or #fragment).' };
+  if (/[\s"<>\\^`{|}]/.test(cleanPath) || /%(?![0-9a-f]{2})/i.test(cleanPath)) {
+    return { error: 'The path contains spaces or characters that are not allowed in a URL.' };
+  }
+  if (cleanPath && !cleanPath.startsWith('/')) cleanPath = `/${cleanPath}`;
+  cleanPath = cleanPath.replace(/[^\x00-\x7f]+/g, chars => encodeURIComponent(chars));
+  if (cleanPath === '/') cleanPath = '';
+
+  return { parts: { scheme: cleanScheme, port: cleanPort, path: cleanPath } };
+}
+
+/**
+ * Helper: Split a typed URL or host ("http://legacy.example.com:8080/app/", "example.com/app/").
+ * Returns { host, parts, explicit, error }. `explicit` is true when the input named a scheme,
+ * port or path; a bare host leaves the stored target alone. ?query and #fragment are ignored.
+ */
+function parseWebTarget(input) {
+  const s = String(input || '').trim();
+  const schemeMatch = /^([a-z][a-z0-9+.-]*):\/\//i.exec(s);
+  const rest = (schemeMatch ? s.slice(schemeMatch[0].length) : s).replace(/[?#].*$/, '');
+  const hostPort = rest.split('/')[0];
+  const path = rest.slice(hostPort.length);
+  const portMatch = /:(\d*)$/.exec(hostPort);
+  const port = portMatch ? portMatch[1] : '';
+
+  const { parts, error } = normalizeWebTargetParts({ scheme: schemeMatch ? schemeMatch[1] : 'https', port, path });
+  return {
+    host: extractDomain(portMatch ? hostPort.slice(0, portMatch.index) : hostPort),
+    parts,
+    explicit: !!schemeMatch || !!port || !!path,
+    error: error || ''
+  };
+}
+
+/**
+ * Save the scheme/port/path of one website. Returns an error message, or '' when saved.
+ */
+function setWebTarget(host, parts) {
+  const { parts: clean, error } = normalizeWebTargetParts(parts);
+  if (error) return error;
+
+  const targets = getWebTargets();
+  const before = JSON.stringify(targets[host] || {});
+  const stored = {};
+  if (clean.scheme !== 'https') stored.scheme = clean.scheme;
+  if (clean.port) stored.port = clean.port;
+  if (clean.path) stored.path = clean.path;
+  if (JSON.stringify(stored) === before) return '';
+
+  if (Object.keys(stored).length) targets[host] = stored;
+  else delete targets[host];
+  if (Object.keys(targets).length) localStorage.setItem(WEB_TARGETS_KEY, JSON.stringify(targets));
+  else localStorage.removeItem(WEB_TARGETS_KEY);
+  try { window.dispatchEvent(new CustomEvent('scope-assets-changed')); } catch {}
+  return '';
+}
+
+/**
+ * Record the scheme/port/path typed together with a domain (main URL field or "Other domains").
+ * Returns an error message for invalid parts, '' otherwise.
+ */
+function rememberWebTarget(input) {
+  const { host, parts, explicit, error } = parseWebTarget(input);
+  if (error) return error;
+  if (explicit && host && isValidDomainOrUrl(host)) setWebTarget(host, parts);
+  return '';
+}
+
+/**
+ * A web target as text. The whole site over HTTPS stays a bare host ("example.com");
+ * anything narrower is a full URL ("http://example.com:8080/app/").
+ */
+function formatWebTarget(target, { unicode = false } = {}) {
+  const host = unicode ? toUnicodeHost(target.host) : target.host;
+  if (target.scheme === 'https' && !target.port && !target.path) return host;
+  return `${target.scheme}://${host}${target.port ? `:${target.port}` : ''}${target.path}`;
+}
+
+/**
+ * Helper: "In scope as …" line with an inline scheme/port/path editor for one website.
+ */
+function createWebTargetEditor(host) {
+  const target = getWebTarget(host);
+  const wrap = document.createElement('div');
+  wrap.className = 'text-xs text-gray-600';
+
+  const summary = document.createElement('div');
+  summary.className = 'flex items-center gap-2';
+  const text = document.createElement('span');
+  text.textContent = `In scope as: ${formatWebTarget(target, { unicode: true })}`;
+  const editBtn = document.createElement('button');
+  editBtn.type = 'button';
+  editBtn.className = 'text-blue-600 hover:underline';
+  editBtn.textContent = 'Scheme, port or path';
+  summary.append(text, editBtn);
+
+  const form = document.createElement('div');
+  form.className = 'flex flex-wrap items-center gap-2 mt-1 hidden';
+
+  const scheme = document.createElement('select');
+  scheme.className = 'px-1 py-0.5 border rounded';
+  ['https', 'http'].forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = `${value}://`;
+    scheme.appendChild(option);
+  });
+  scheme.value = target.scheme;
+
+  const port = document.createElement('input');
+  port.type = 'text';
+  port.placeholder = 'Port (default)';
+  port.value = target.port;
+  port.className = 'w-28 px-2 py-0.5 border rounded';
+
+  const path = document.createElement('input');
+  path.type = 'text';
+  path.placeholder = 'Path prefix, e.g. /app/';
+  path.value = target.path;
+  path.className = 'flex-1 min-w-[8rem] px-2 py-0.5 border rounded';
+
+  const save = document.createElement('button');
+  save.type = 'button';
+  save.className = 'bg-blue-200 text-blue-800 px-2 py-0.5 rounded hover:bg-blue-300';
+  save.textContent = 'Save';
+
+  const error = document.createElement('p');
+  error.className = 'text-red-600 w-full hidden';
+
+  save.addEventListener('click', () => {
+    const msg = setWebTarget(host, { scheme: scheme.value, port: port.value, path: path.value });
+    error.textContent = msg;
+    error.classList.toggle('hidden', !msg);
+    if (!msg) renderWebTargets();
+  });
+  editBtn.addEventListener('click', () => form.classList.toggle('hidden'));
+
+  form.append(scheme, port, path, save, error);
+  wrap.append(summary, form);
+  return wrap;
+}
+
+// Scope line under the main URL field (hidden until the main domain is valid)
+function renderPrimaryWebTarget() {
+  const el = document.getElementById('primaryWebTarget');
+  if (!el) return;
+  el.innerHTML = '';
+  const primary = extractDomain((localStorage.getItem('enteredUrl') || '').trim());
+  const show = !!primary && isValidDomainOrUrl(primary);
+  el.classList.toggle('hidden', !show);
+  if (show) el.appendChild(createWebTargetEditor(primary));
+}
+
+function renderWebTargets() {
+  renderPrimaryWebTarget();
+  renderAdditionalDomains();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Additional domains (state)
+// ─────────────────────────────────────────────────────────────
+
+function getAdditionalDomains() {
+  try {
+    const list = JSON.parse(localStorage.getItem(ADDITIONAL_DOMAINS_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(d => typeof d === 'string' && d) : [];
+  } catch {
+    return [];
+  }
+}
+
+function setAdditionalDomains(list) {
+  const unique = Array.from(new Set(list));
+  if (unique.length) {
+    localStorage.setItem(ADDITIONAL_DOMAINS_KEY, JSON.stringify(unique));
+  } else {
+    localStorage.removeItem(ADDITIONAL_DOMAINS_KEY);
+  }
+}
+
+function getWildcardScopes() {
+  try {
+    const list = JSON.parse(localStorage.getItem(WILDCARDS_KEY) || '[]');
+    if (!Array.isArray(list)) return [];
+    return list
+      .filter(w => w && isWildcardHost(w.pattern))
+      .map(w => ({
+        pattern: w.pattern,
+        exclusions: Array.isArray(w.exclusions) ? w.exclusions.filter(e => typeof e === 'string' && e) : []
+      }));
+  } catch {
+    return [];
+  }
+}
+
+function setWildcardScopes(list) {
+  if (list.length) {
+    localStorage.setItem(WILDCARDS_KEY, JSON.stringify(list));
+  } else {
+    localStorage.removeItem(WILDCARDS_KEY);
+  }
+}
+
+function getThirdPartyHosts() {
+  try {
+    const list = JSON.parse(localStorage.getItem(THIRD_PARTY_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(h => typeof h === 'string' && h) : [];
+  } catch {
+    return [];
+  }
+}
+
+function setThirdPartyHosts(list) {
+  const unique = Array.from(new Set(list));
+  if (unique.length) {
+    localStorage.setItem(THIRD_PARTY_KEY, JSON.stringify(unique));
+  } else {
+    localStorage.removeItem(THIRD_PARTY_KEY);
+  }
+  try { window.dispatchEvent(new CustomEvent('scope-assets-changed')); } catch {}
+}
+
+/**
+ * All root domains of the program: the primary domain first, then the additional ones.
+ * Wildcards are not included (see getWildcardScopes).
+ */
+function getProgramDomains() {
+  const primary = extractDomain((localStorage.getItem('enteredUrl') || '').trim());
+  const domains = primary ? [primary] : [];
+  getAdditionalDomains().forEach(d => {
+    if (!domains.includes(d)) domains.push(d);
+  });
+  return domains;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Additional domains (UI on the first page)
+// ─────────────────────────────────────────────────────────────
+
+function showAdditionalDomainError(msg) {
+  const el = document.getElementById('additionalDomainError');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.classList.toggle('hidden', !msg);
+}
+
+// Short status line for one domain row
+function describeDomainStatus(domain) {
+  const entry = storedApiData.additionalDomains?.[domain];
+  if (resolveVerdicts.get(domain) === false) {
+    return { text: 'Not found — apps and APIs may be missing', tone: 'text-amber-600', retry: false };
+  }
+  if (!entry) return { text: '', tone: 'text-gray-500', retry: false };
+  if (entry.loading) return { text: 'Loading data…', tone: 'text-gray-500', retry: false };
+  if (entry.mobileError || entry.apiError) {
+    return { text: 'Data retrieval failed', tone: 'text-red-600', retry: true };
+  }
+  if (!entry.mobileDetails && !entry.apiDetails) {
+    return { text: 'No apps or APIs found', tone: 'text-gray-500', retry: false };
+  }
+  return { text: '✓ Data loaded', tone: 'text-green-700', retry: false };
+}
+
+function renderAdditionalDomains() {
+  const listEl = document.getElementById('additionalDomainsList');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  getAdditionalDomains().forEach(domain => {
+    const status = describeDomainStatus(domain);
+
+    const row = document.createElement('div');
+    row.className = 'bg-gray-50 border rounded px-3 py-1 text-sm';
+    const head = document.createElement('div');
+    head.className = 'flex items-center gap-2';
+
+    const name = document.createElement('span');
+    name.className = 'font-mono text-gray-800';
+    name.textContent = toUnicodeHost(domain);
+
+    const info = document.createElement('span');
+    info.className = `flex-1 text-xs ${status.tone}`;
+    info.textContent = status.text;
+
+    head.append(name, info);
+
+    if (status.retry) {
+      const retry = document.createElement('button');
+      retry.type = 'button';
+      retry.className = 'text-blue-600 hover:underline text-xs';
+      retry.textContent = 'Retry';
+      retry.addEventListener('click', () => processAdditionalDomain(domain));
+      head.appendChild(retry);
+    }
+
+    head.appendChild(createRemoveButton(domain, () => removeAdditionalDomain(domain)));
+    row.append(head, createWebTargetEditor(domain));
+    listEl.appendChild(row);
+  });
+
+  getWildcardScopes().forEach(wildcard => listEl.appendChild(renderWildcardRow(wildcard)));
+}
+
+function createRemoveButton(label, onClick) {
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.title = `Remove ${label}`;
+  remove.className = 'text-gray-400 hover:text-red-600 font-bold';
+  remove.textContent = '✕';
+  remove.addEventListener('click', onClick);
+  return remove;
+}
+
+// Wildcard row: the pattern plus its excluded subdomains (shown in Out-of-Scope)
+function renderWildcardRow({ pattern, exclusions }) {
+  const row = document.createElement('div');
+  row.className = 'bg-gray-50 border rounded px-3 py-1 text-sm';
+
+  const head = document.createElement('div');
+  head.className = 'flex items-center gap-2';
+
+  const name = document.createElement('span');
+  name.className = 'font-mono text-gray-800';
+  name.textContent = toUnicodeHost(pattern);
+
+  const info = document.createElement('span');
+  info.className = 'flex-1 text-xs text-gray-500';
+  info.textContent = 'Wildcard — all subdomains';
+
+  head.append(name, info, createRemoveButton(pattern, () => removeWildcard(pattern)));
+
+  const excl = document.createElement('div');
+  excl.className = 'flex flex-wrap items-center gap-1 mt-1 pl-4 text-xs';
+
+  const label = document.createElement('span');
+  label.className = 'text-gray-600';
+  label.textContent = 'Excluding:';
+  excl.appendChild(label);
+
+  exclusions.forEach(host => {
+    const chip = document.createElement('span');
+    chip.className = 'inline-flex items-center gap-1 bg-white border rounded px-2 font-mono';
+    chip.textContent = toUnicodeHost(host);
+    chip.appendChild(createRemoveButton(host, () => removeWildcardExclusion(pattern, host)));
+    excl.appendChild(chip);
+  });
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = `e.g. staging.${toUnicodeHost(pattern.slice(2))}`;
+  input.className = 'px-2 py-0.5 border rounded text-xs';
+
+  const error = document.createElement('p');
+  error.className = 'text-red-600 text-xs mt-1 pl-4 hidden';
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const msg = addWildcardExclusion(pattern, input.value);
+    error.textContent = msg || '';
+    error.classList.toggle('hidden', !msg);
+  });
+  excl.appendChild(input);
+
+  row.append(head, excl, error);
+  return row;
+}
+
+/**
+ * DNS check (warn only, like the primary domain) and then the per-domain data load.
+ */
+async function processAdditionalDomain(domain, { checkDns = true } = {}) {
+  if (checkDns && !resolveVerdicts.has(domain)) {
+    try {
+      const resolvable = await checkDomainResolvable(domain);
+      resolveVerdicts.set(domain, resolvable === false ? false : (resolvable === true ? true : null));
+    } catch (e) {
+      console.debug('Resolver check errored; allowing fetch:', e);
+      resolveVerdicts.set(domain, null);
+    }
+    renderAdditionalDomains();
+  }
+
+  // Removed while the DNS check was running
+  if (!getAdditionalDomains().includes(domain)) return;
+
+  await loadAdditionalDomainData(domain);
+  renderAdditionalDomains();
+}
+
+function addAdditionalDomain(raw) {
+  const value = String(raw || '').trim();
+  if (!value) return false;
+
+  const domain = extractDomain(value);
+  if (isWildcardHost(domain)) return addWildcard(domain);
+
+  if (!isValidDomainOrUrl(domain)) {
+    showAdditionalDomainError('Please enter a valid domain (e.g. example.co.uk) or wildcard (e.g. *.example.com)');
+    return false;
+  }
+  const { parts, explicit, error } = parseWebTarget(value);
+  if (error) {
+    showAdditionalDomainError(error);
+    return false;
+  }
+  if (getProgramDomains().includes(domain)) {
+    showAdditionalDomainError(`${toUnicodeHost(domain)} is already part of this program.`);
+    return false;
+  }
+
+  showAdditionalDomainError('');
+  if (explicit) setWebTarget(domain, parts);
+  setAdditionalDomains([...getAdditionalDomains(), domain]);
+  renderAdditionalDomains();
+  processAdditionalDomain(domain);
+  return true;
+}
+
+function removeAdditionalDomain(domain) {
+  setWebTarget(domain, {});
+  setAdditionalDomains(getAdditionalDomains().filter(d => d !== domain));
+  resolveVerdicts.delete(domain);
+  removeAdditionalDomainData(domain);
+  renderAdditionalDomains();
+}
+
+function addWildcard(pattern) {
+  if (!isValidDomainOrUrl(pattern, { allowWildcard: true })) {
+    showAdditionalDomainError('Please enter a valid wildcard (e.g. *.example.com)');
+    return false;
+  }
+  const wildcards = getWildcardScopes();
+  if (wildcards.some(w => w.pattern === pattern)) {
+    showAdditionalDomainError(`${toUnicodeHost(pattern)} is already part of this program.`);
+    return false;
+  }
+
+  showAdditionalDomainError('');
+  setWildcardScopes([...wildcards, { pattern, exclusions: [] }]);
+  renderAdditionalDomains();
+  return true;
+}
+
+function removeWildcard(pattern) {
+  setWildcardScopes(getWildcardScopes().filter(w => w.pattern !== pattern));
+  renderAdditionalDomains();
+}
+
+/**
+ * Exclude one subdomain (or nested wildcard) from a wildcard.
+ * Returns an error message, or '' when the exclusion was added.
+ */
+function addWildcardExclusion(pattern, raw) {
+  const host = extractDomain(String(raw || '').trim());
+  if (!host) return '';
+
+  const base = pattern.slice(2);
+  if (!isValidDomainOrUrl(host, { allowWildcard: true }) || !host.endsWith(`.${base}`)) {
+    return `Enter a subdomain of ${toUnicodeHost(base)} (e.g. staging.${toUnicodeHost(base)})`;
+  }
+
+  const wildcards = getWildcardScopes();
+  const wildcard = wildcards.find(w => w.pattern === pattern);
+  if (!wildcard) return '';
+  if (!wildcard.exclusions.includes(host)) wildcard.exclusions.push(host);
+  setWildcardScopes(wildcards);
+  renderAdditionalDomains();
+  return '';
+}
+
+function removeWildcardExclusion(pattern, host) {
+  const wildcards = getWildcardScopes();
+  const wildcard = wildcards.find(w => w.pattern === pattern);
+  if (!wildcard) return;
+  wildcard.exclusions = wildcard.exclusions.filter(h => h !== host);
+  setWildcardScopes(wildcards);
+  renderAdditionalDomains();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Third-party hosts (out of scope, UI on the first page)
+// ─────────────────────────────────────────────────────────────
+
+function showThirdPartyHostError(msg) {
+  const el = document.getElementById('thirdPartyHostError');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.classList.toggle('hidden', !msg);
+}
+
+function renderThirdPartyHosts() {
+  const listEl = document.getElementById('thirdPartyHostsList');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  const hosts = getThirdPartyHosts();
+  listEl.classList.toggle('hidden', hosts.length === 0);
+  hosts.forEach(host => {
+    const chip = document.createElement('span');
+    chip.className = 'inline-flex items-center gap-1 bg-gray-50 border rounded px-2 py-0.5 font-mono text-sm';
+    chip.textContent = toUnicodeHost(host);
+    chip.appendChild(createRemoveButton(host, () => removeThirdPartyHost(host)));
+    listEl.appendChild(chip);
+  });
+}
+
+function addThirdPartyHost(raw) {
+  const value = String(raw || '').trim();
+  if (!value) return false;
+
+  const host = extractDomain(value);
+  if (!isValidDomainOrUrl(host, { allowWildcard: true })) {
+    showThirdPartyHostError('Please enter a valid host (e.g. support.helpdesk.com or *.cdn-provider.net)');
+    return false;
+  }
+  if (getProgramDomains().includes(host) || getWildcardScopes().some(w => w.pattern === host)) {
+    showThirdPartyHostError(`${toUnicodeHost(host)} is in scope; remove it there first.`);
+    return false;
+  }
+
+  showThirdPartyHostError('');
+  setThirdPartyHosts([...getThirdPartyHosts(), host]);
+  renderThirdPartyHosts();
+  return true;
+}
+
+function removeThirdPartyHost(host) {
+  setThirdPartyHosts(getThirdPartyHosts().filter(h => h !== host));
+  renderThirdPartyHosts();
+}
+
+function setupThirdPartyHosts() {
+  const input  = document.getElementById('thirdPartyHostInput');
+  const addBtn = document.getElementById('addThirdPartyHostButton');
+  if (!input || !addBtn) return;
+
+  const add = () => {
+    if (addThirdPartyHost(input.value)) input.value = '';
+  };
+  addBtn.addEventListener('click', add);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  });
+  input.addEventListener('input', () => showThirdPartyHostError(''));
+}
+
+/**
+ * Rebuild the in-memory state from localStorage (startup / project open).
+ * Cached payloads are used when present; only domains without a cache are DNS-checked and fetched.
+ */
+function loadAdditionalDomains() {
+  Object.keys(storedApiData.additionalDomains || {}).forEach(d => removeAdditionalDomainData(d));
+  resolveVerdicts.clear();
+  renderWebTargets();
+  renderThirdPartyHosts();
+
+  getAdditionalDomains().forEach(domain => {
+    const hasCache = !!localStorage.getItem(`apiData_${domain}`);
+    processAdditionalDomain(domain, { checkDns: !hasCache });
+  });
+}
+
+// Reset: forget every additional domain, wildcard and third-party host
+// (cached payloads are cleared by performReset)
+function clearAdditionalDomains() {
+  getAdditionalDomains().forEach(d => removeAdditionalDomainData(d));
+  localStorage.removeItem(ADDITIONAL_DOMAINS_KEY);
+  localStorage.removeItem(WILDCARDS_KEY);
+  localStorage.removeItem(THIRD_PARTY_KEY);
+  localStorage.removeItem(WEB_TARGETS_KEY);
+  renderPrimaryWebTarget();
+  showThirdPartyHostError('');
+  const thirdPartyInput = document.getElementById('thirdPartyHostInput');
+  if (thirdPartyInput) thirdPartyInput.value = '';
+  renderThirdPartyHosts();
+  resolveVerdicts.clear();
+  showAdditionalDomainError('');
+  const input = document.getElementById('additionalDomainInput');
+  if (input) input.value = '';
+  renderAdditionalDomains();
+}
+
+function setupAdditionalDomains() {
+  const input  = document.getElementById('additionalDomainInput');
+  const addBtn = document.getElementById('addDomainButton');
+  if (!input || !addBtn) return;
+
+  const add = () => {
+    if (addAdditionalDomain(input.value)) input.value = '';
+  };
+  addBtn.addEventListener('click', add);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  });
+  input.addEventListener('input', () => showAdditionalDomainError(''));
+
+  // Keep row statuses in sync with background loads
+  window.addEventListener('additional-domain-updated', renderAdditionalDomains);
+}
+
+export {
+  isValidDomainOrUrl,
+  isWildcardHost,
+  extractDomain,
+  getAdditionalDomains,
+  getProgramDomains,
+  getWildcardScopes,
+  getThirdPartyHosts,
+  getWebTarget,
+  formatWebTarget,
+  rememberWebTarget,
+  renderPrimaryWebTarget,
+  setupAdditionalDomains,
+  setupThirdPartyHosts,
+  loadAdditionalDomains,
+  clearAdditionalDomains
+};
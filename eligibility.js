@@ -0,0 +1,192 @@
+// eligibility.js — Per-asset bounty eligibility and maximum severity
+// Values are stored by selections.js; this module holds the modal and the reward cross-check.
+
+import { collectScopeAssets } from './assets.js';
+import { SEVERITIES, SEVERITY_LABELS, setAssetEligibility } from './selections.js';
+import { getSelectedRewardTier, getRewardTierForAsset, getTierCurrency, parseRewardAmount } from './rewards.js';
+import { formatRewardText } from './currency.js';
+import { setGroupRewardTier, getAssetGroupKey, getGroupTierKey, getRewardCategory } from './rewardgroups.js';
+
+// Short type label for the modal list
+function describeAssetType(asset) {
+  if (asset.type === 'website') return '🌐 Website';
+  if (asset.type === 'wildcard') return '🌐 Wildcard';
+  if (asset.type === 'mobile') return `📱 ${asset.platform || 'Mobile'} app`;
+  if (asset.type === 'api') return '🧩 API';
+  if (asset.type === 'apiSubdomain') return '🧩 API host';
+  if (asset.type === 'manual') return `${asset.icon} ${asset.label}`;
+  return asset.type;
+}
+
+/**
+ * Helper: Severities an asset can still be rewarded for (its cap and below).
+ */
+function getSeveritiesUpTo(maxSeverity) {
+  const idx = SEVERITIES.indexOf(maxSeverity);
+  return idx < 0 ? SEVERITIES.slice() : SEVERITIES.slice(idx);
+}
+
+/**
+ * Cross-check the assets against the reward levels of the tier that pays them
+ * (the selected tier, or their asset group's own tier).
+ * Returns a list of warning strings (empty when everything is consistent or no tier is picked).
+ */
+function checkAssetEligibility(assets, rewards) {
+  const pays = (tier, severity) => !!parseRewardAmount(tier.levels?.[severity]);
+  const eligible = assets.filter(a => a.bountyEligible !== false);
+  const unpaid = new Map();  // Title of a tier that pays no bounties → eligible assets it covers
+  const warnings = [];
+
+  const { tier: programTier, isSelected } = getSelectedRewardTier(rewards);
+  if (isSelected && programTier && SEVERITIES.some(s => pays(programTier, s)) && assets.length && !eligible.length) {
+    warnings.push('Every asset is disclosure only, so the reward table never applies.');
+  }
+
+  eligible.forEach(asset => {
+    const { tier, isSelected: hasTier } = getRewardTierForAsset(rewards, asset);
+    if (!hasTier || !tier) return;
+
+    if (!SEVERITIES.some(s => pays(tier, s))) {
+      unpaid.set(tier.title, (unpaid.get(tier.title) || 0) + 1);
+    } else if (!getSeveritiesUpTo(asset.maxSeverity).some(s => pays(tier, s))) {
+      const cap = SEVERITY_LABELS[asset.maxSeverity] || asset.maxSeverity;
+      warnings.push(`${asset.name} is capped at ${cap}, but "${tier.title}" pays nothing at ${cap} or below.`);
+    }
+  });
+
+  const unpaidWarnings = [...unpaid].map(([title, total]) => {
+    const count = total === 1 ? '1 asset' : `${total} assets`;
+    return `"${title}" pays no bounties, so the ${count} marked eligible for bounty will only receive thanks.`;
+  });
+  return [...unpaidWarnings, ...warnings];
+}
+
+/**
+ * Helper: Reward text at a severity, in the reward currency ('' when none or no tier is picked).
+ * Uses the tier of `asset` when given (see getRewardTierForAsset), otherwise the selected tier.
+ */
+function getRewardAtSeverity(rewards, severity, asset = null) {
+  const { tier, isSelected } = asset ? getRewardTierForAsset(rewards, asset) : getSelectedRewardTier(rewards);
+  if (!isSelected) return '';
+  const text = tier?.levels?.[severity] || '';
+  return parseRewardAmount(text) ? formatRewardText(text, getTierCurrency(tier)) : '';
+}
+
+function renderEligibilityWarnings(assets) {
+  const el = document.getElementById('assetEligibilityWarnings');
+  if (!el) return;
+  const warnings = checkAssetEligibility(assets, window.rewards);
+  el.innerHTML = '';
+  warnings.forEach(text => {
+    const line = document.createElement('div');
+    line.textContent = `⚠️ ${text}`;
+    el.appendChild(line);
+  });
+  el.classList.toggle('hidden', warnings.length === 0);
+}
+
+function createSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  select.className = 'px-2 py-1 border rounded text-sm';
+  options.forEach(([optionValue, text]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function renderEligibilityList() {
+  const listEl = document.getElementById('assetEligibilityList');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  const assets = collectScopeAssets(window.storedApiData || {}, window.config);
+  if (!assets.length) {
+    listEl.innerHTML = '<p class="text-sm text-gray-600">No in-scope assets yet.</p>';
+  }
+
+  assets.forEach(asset => {
+    const row = document.createElement('div');
+    row.className = 'flex flex-wrap items-center gap-2 bg-gray-50 border rounded px-3 py-2 text-sm';
+
+    const type = document.createElement('span');
+    type.className = 'text-xs text-gray-500 w-32';
+    type.textContent = describeAssetType(asset);
+
+    const name = document.createElement('span');
+    name.className = 'flex-1 font-mono text-gray-800 break-all';
+    name.textContent = asset.name;
+
+    const severity = createSelect(
+      SEVERITIES.map(s => [s, `Up to ${SEVERITY_LABELS[s]}`]),
+      asset.maxSeverity,
+      value => update({ maxSeverity: value })
+    );
+    severity.title = 'Maximum severity';
+    severity.disabled = !asset.bountyEligible;
+
+    // Reward table: the asset's category (Rewards step), or a tier of its own
+    const tiers = window.rewards?.tiers || {};
+    const rewardTable = createSelect(
+      [['', `${getRewardCategory(asset).label} rewards`], ...Object.entries(tiers).map(([key, tier]) => [key, tier.title || key])],
+      getGroupTierKey(getAssetGroupKey(asset), tiers) || '',
+      value => {
+        setGroupRewardTier(getAssetGroupKey(asset), value);
+        renderEligibilityWarnings(collectScopeAssets(window.storedApiData || {}, window.config));
+      }
+    );
+    rewardTable.title = 'Reward table';
+    rewardTable.disabled = !asset.bountyEligible;
+
+    const bounty = createSelect(
+      [['eligible', 'Eligible for bounty'], ['disclosure', 'Disclosure only']],
+      asset.bountyEligible ? 'eligible' : 'disclosure',
+      value => {
+        severity.disabled = value !== 'eligible';
+        rewardTable.disabled = value !== 'eligible';
+        update({ bountyEligible: value === 'eligible' });
+      }
+    );
+
+    function update(changes) {
+      setAssetEligibility(asset.key, changes);
+      renderEligibilityWarnings(collectScopeAssets(window.storedApiData || {}, window.config));
+    }
+
+    row.append(type, name, bounty, severity, rewardTable);
+    listEl.appendChild(row);
+  });
+
+  renderEligibilityWarnings(assets);
+}
+
+/**
+ * Open the eligibility editor for the current in-scope assets.
+ * Changes apply immediately (scope-assets-changed re-renders the final step).
+ */
+function showAssetEligibilityModal() {
+  const modal = document.getElementById('assetEligibilityModal');
+  if (!modal) {
+    console.error('⚠️ Asset eligibility modal elements missing');
+    return;
+  }
+
+  renderEligibilityList();
+
+  const close = () => modal.classList.add('hidden');
+  document.getElementById('closeAssetEligibilityModal').onclick = close;
+  document.getElementById('doneAssetEligibility').onclick = close;
+  modal.onclick = (e) => { if (e.target === modal) close(); };
+
+  modal.classList.remove('hidden');
+}
+
+export {
+  checkAssetEligibility,
+  getRewardAtSeverity,
+  showAssetEligibilityModal
+};
@@ -0,0 +1,719 @@
+// export.js — Turn the final scope into portable formats (Markdown, CSV, …)
+// Reads the rendered Trix document or the shared asset model; never mutates the editor.
+
+import { collectScopeAssets, collectOutOfScopeAssets } from './assets.js';
+import { getSelectedRewardTier, getRewardRange } from './rewards.js';
+import { getRewardCurrency } from './currency.js';
+import { getRewardGroups } from './rewardgroups.js';
+import { canonicalizeHost } from './hostnames.js';
+
+// Asset entries start with one of these icons (see scope.js formatters)
+const ASSET_ICONS = ['🌐', '📱', '🧩'];
+
+// Section markers managed by constructScopeText, e.g. --START IN-SCOPE--
+const MARKER_RE = /--(START|END) [\w-]+--/g;
+
+// Tags that start a new block (everything else is treated as inline)
+const BLOCK_TAGS = new Set(['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'UL', 'OL', 'LI']);
+
+// Characters that start Markdown or inline HTML in a text run
+const MARKDOWN_SPECIAL_RE = /[\\`*_[\]<>]/g;
+// URLs in a text run (trailing punctuation is left to the sentence)
+const TEXT_URL_RE = /https?:\/\/[^\s<>]*[^\s<>.,;:!?)]/g;
+
+/**
+ * Helper: Escape a text run so names like "<b>Beta</b>", "*.example.com" or "[internal]"
+ * stay literal text on GitHub and GitLab. URLs become <autolinks>, which need no escaping.
+ */
+function escapeMarkdownText(text) {
+  let out = '';
+  let last = 0;
+  for (const m of text.matchAll(TEXT_URL_RE)) {
+    out += text.slice(last, m.index).replace(MARKDOWN_SPECIAL_RE, '\\$&') + `<${m[0]}>`;
+    last = m.index + m[0].length;
+  }
+  return out + text.slice(last).replace(MARKDOWN_SPECIAL_RE, '\\$&');
+}
+
+/**
+ * Helper: Render inline children of a node as Markdown text.
+ * Line breaks (<br> and literal newlines) are kept as "\n".
+ */
+function renderInline(node) {
+  let out = '';
+
+  node.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      out += escapeMarkdownText(child.textContent.replace(/\u00a0/g, ' '));
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = child.tagName;
+    if (tag === 'BR') {
+      out += '\n';
+    } else if (tag === 'STRONG' || tag === 'B') {
+      out += wrapInline(renderInline(child), '**');
+    } else if (tag === 'EM' || tag === 'I') {
+      out += wrapInline(renderInline(child), '*');
+    } else if (tag === 'A') {
+      const text = renderInline(child).trim();
+      const href = child.getAttribute('href') || '';
+      out += (!href || child.textContent.trim() === href) ? (text || href) : `[${text}](${href})`;
+    } else if (tag === 'UL' || tag === 'OL') {
+      out += '\n' + renderList(child) + '\n';
+    } else if (tag === 'PRE') {
+      out += '\n' + renderPre(child) + '\n';
+    } else if (BLOCK_TAGS.has(tag)) {
+      out += '\n' + renderInline(child) + '\n';
+    } else {
+      out += renderInline(child);
+    }
+  });
+
+  return out;
+}
+
+// Wrap each line separately so emphasis never spans a line break
+function wrapInline(text, mark) {
+  return text
+    .split('\n')
+    .map(line => {
+      const core = line.trim();
+      if (!core) return line;
+      const lead  = line.slice(0, line.indexOf(core));
+      const trail = line.slice(line.indexOf(core) + core.length);
+      return `${lead}${mark}${core}${mark}${trail}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Helper: Render a <ul>/<ol> as Markdown list items (one item per line).
+ * The "\u0001" prefix marks list lines so post-processing leaves them alone.
+ */
+function renderList(listEl) {
+  const ordered = listEl.tagName === 'OL';
+  const items = Array.from(listEl.children).filter(el => el.tagName === 'LI');
+
+  return items.map((li, idx) => {
+    const bullet = ordered ? `${idx + 1}.` : '-';
+    const lines = renderInline(li)
+      .replace(MARKER_RE, '')
+      .split('\n')
+      .map(l => l.trim())
+      .filter(Boolean);
+    if (lines.length === 0) return '';
+    const [first, ...rest] = lines;
+    return [`\u0001${bullet} ${first}`, ...rest.map(l => `\u0001   ${l}`)].join('\n');
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Helper: Render a <pre> (e.g. the reward matrix) as a fenced code block, spacing kept.
+ * The "\u0002" prefix marks its lines so post-processing leaves them alone.
+ */
+function renderPre(preEl) {
+  let text = '';
+  const walk = node => node.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) text += child.textContent.replace(/\u00a0/g, ' ');
+    else if (child.tagName === 'BR') text += '\n';
+    else walk(child);
+  });
+  walk(preEl);
+
+  const lines = text.replace(/\n+$/, '').split('\n').map(l => l.replace(/\s+$/, ''));
+  return ['```', ...lines, '```'].map(l => `\u0002${l}`).join('\n');
+}
+
+// A whole line in bold without a colon is a section heading ("**Rewards**")
+function isHeadingLine(line) {
+  return /^\*\*[^*]+\*\*$/.test(line) && !line.includes(':');
+}
+
+function isAssetLine(line) {
+  return ASSET_ICONS.some(icon => line.startsWith(icon));
+}
+
+/**
+ * Convert the final scope HTML (as rendered by Trix) into clean Markdown.
+ * - Whole-line <strong> blocks become headings (first one is the title)
+ * - <ul>/<ol> become Markdown lists
+ * - 🌐/📱/🧩 asset entries become a bullet with their fields nested below
+ * - <pre> blocks (the reward matrix) become fenced code blocks
+ * - --START/END-- markers are stripped
+ */
+function scopeHtmlToMarkdown(html) {
+  const doc = new DOMParser().parseFromString(`<div>${html || ''}</div>`, 'text/html');
+  const root = doc.body.firstElementChild;
+  if (!root) return '';
+
+  const rawLines = renderInline(root)
+    .replace(MARKER_RE, '')
+    .split('\n')
+    .map(l => l.replace(/\s+$/, ''));
+
+  const out = [];
+  let seenTitle = false;
+  let inAsset = false;
+  let inList = false;
+  let inPre = false;
+  let openField = false;
+
+  // Keep at most one blank line between blocks
+  const pushBlank = () => {
+    if (out.length && out[out.length - 1] !== '') out.push('');
+  };
+
+  rawLines.forEach(raw => {
+    const line = raw.trim();
+
+    if (!line) {
+      inAsset = false;
+      inList = false;
+      pushBlank();
+      return;
+    }
+
+    // Code block lines rendered by renderPre
+    if (line.startsWith('\u0002')) {
+      const code = raw.replace(/^\s*\u0002/, '');
+      if (code === '```' && !inPre) {
+        inAsset = false;
+        inList = false;
+        pushBlank();
+      }
+      out.push(code);
+      if (code === '```') inPre = !inPre;
+      if (!inPre) out.push('');
+      return;
+    }
+
+    // List items rendered by renderList
+    if (line.startsWith('\u0001')) {
+      if (!inList) pushBlank();
+      out.push(raw.replace(/^\s*\u0001/, ''));
+      inList = true;
+      inAsset = false;
+      return;
+    }
+    if (inList) {
+      inList = false;
+      pushBlank();
+    }
+
+    if (isHeadingLine(line)) {
+      inAsset = false;
+      pushBlank();
+      out.push(`${seenTitle ? '##' : '#'} ${line.slice(2, -2).trim()}`);
+      out.push('');
+      seenTitle = true;
+      return;
+    }
+
+    if (isAssetLine(line)) {
+      // Start a new asset bullet; its fields follow as nested items
+      if (!inAsset) pushBlank();
+      out.push(`- ${line}`);
+      inAsset = true;
+      openField = false;
+      return;
+    }
+
+    if (inAsset) {
+      // Values listed under an empty field ("**Documentation:**") nest one level deeper
+      const nested = openField && !line.startsWith('**');
+      if (!nested) openField = /^\*\*[^*]+:\*\*$/.test(line);
+      out.push(`${nested ? '    ' : '  '}- ${line}`);
+      return;
+    }
+
+    // Plain text: one paragraph per line keeps Trix's visual line breaks
+    pushBlank();
+    out.push(line);
+    out.push('');
+  });
+
+  return out
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+// File name based on the entered domain, e.g. "example-com-scope.md"
+// or "example-com-hackerone-scope.csv" when a label is given
+function buildExportFileName(extension, label = '') {
+  const domain = canonicalizeHost(localStorage.getItem('enteredUrl') || '');
+  const base = domain ? domain.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : 'bug-bounty';
+  return `${base}${label ? `-${label}` : ''}-scope.${extension}`;
+}
+
+// Quote a CSV cell only when needed (comma, quote or line break)
+function toCsvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(col => toCsvCell(row[col])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2) + '\n';
+}
+
+// "Name (Apple)" / "Name (Android)" — same labels as the In-Scope block
+function describeApp(asset) {
+  const platformLabel = asset.platform === 'iOS' ? 'Apple' : asset.platform;
+  return `${asset.name}${platformLabel ? ` (${platformLabel})` : ''}`;
+}
+
+// Short human description shared by the platform exporters (plus any bounty restriction)
+function describeAsset(asset) {
+  if (asset.reason) return `Out of scope (${asset.reason})`;
+  const description = describeAssetBase(asset);
+  if (asset.bountyEligible === false) return `${description} (disclosure only, no bounty)`;
+  if (asset.maxSeverity && asset.maxSeverity !== 'critical') {
+    return `${description} (max severity: ${asset.maxSeverity})`;
+  }
+  return description;
+}
+
+function describeAssetBase(asset) {
+  if (asset.type === 'website') return `Main website${asset.path ? ` (only ${asset.path} and below)` : ''}`;
+  if (asset.type === 'wildcard') {
+    return asset.exclusions?.length
+      ? `All subdomains except ${asset.exclusions.join(', ')}`
+      : 'All subdomains';
+  }
+  if (asset.type === 'mobile') {
+    const version = asset.scopeVersion ? `Version: ${asset.scopeVersion}` : '';
+    return [describeApp(asset), asset.url, version].filter(Boolean).join(' — ');
+  }
+  if (asset.type === 'apiSubdomain') return 'Discovered API host';
+  if (asset.type === 'manual') {
+    return [asset.label, ...asset.fields.map(f => `${f.label}: ${f.value}`)].join(' — ');
+  }
+  if (asset.type === 'api') {
+    return asset.documentationUrls.length
+      ? `${asset.name}. Documentation: ${asset.documentationUrls.join(' ')}`
+      : asset.name;
+  }
+  return asset.name || '';
+}
+
+// ─────────────────────────────────────────────────────────────
+// Exporter interface
+// ─────────────────────────────────────────────────────────────
+/**
+ * Each export format is one exporter object:
+ *   id         unique key
+ *   label      menu text for the download action
+ *   copyLabel  optional menu text for a copy-to-clipboard action
+ *   extension  file extension of the download
+ *   fileLabel  optional part of the file name (e.g. "hackerone")
+ *   mimeType   MIME type of the download
+ *   build(ctx) returns the file content as a string
+ *
+ * ctx comes from buildExportContext():
+ *   { scopeHTML, assets, outOfScopeAssets, rewardTier, rewardRanges, rewardCurrency, bountyEligible, rewardGroups }
+ * rewardRanges are numbers in rewardCurrency (the currency picked in the builder).
+ * rewardGroups is [] for a single reward table, otherwise one
+ * { name, assets, rewardTier, rewardRanges, bountyEligible } per row of the reward matrix.
+ *
+ * To support another platform, call registerExporter() with a new object.
+ */
+const exporters = [];
+
+function registerExporter(exporter) {
+  if (!exporter?.id || typeof exporter.build !== 'function') {
+    console.warn('export.js: ignoring invalid exporter', exporter);
+    return;
+  }
+  const idx = exporters.findIndex(e => e.id === exporter.id);
+  if (idx >= 0) exporters.splice(idx, 1, exporter);
+  else exporters.push(exporter);
+}
+
+function getExporters() {
+  return exporters.slice();
+}
+
+/**
+ * Helper: Reward fields of one tier for the export context (tier null: nothing picked yet).
+ */
+function describeTierRewards(key, tier) {
+  const rewardRanges = {};
+  Object.keys(tier?.levels || {}).forEach(severity => {
+    rewardRanges[severity] = getRewardRange(tier, severity);
+  });
+
+  return {
+    rewardTier: tier ? { key, title: tier.title || key } : null,
+    rewardRanges,
+    // No tier picked yet: the scope shows placeholder amounts, so assume bounties
+    bountyEligible: tier ? Object.values(rewardRanges).some(Boolean) : true
+  };
+}
+
+/**
+ * Helper: Snapshot of everything an exporter may need.
+ * Reward ranges are only filled in once the user has picked a tier
+ * (the scope text shows placeholders until then).
+ */
+function buildExportContext() {
+  const content = document.getElementById('finalSummaryContent');
+  const { key, tier, isSelected } = getSelectedRewardTier(window.rewards);
+  const program = describeTierRewards(key, isSelected ? tier : null);
+  const assets = collectScopeAssets(window.storedApiData || {}, window.config);
+
+  // Rows of the reward matrix; rows without their own tier are paid from the program tier
+  const rewardGroups = getRewardGroups(assets, window.rewards?.tiers).map(group => ({
+    name: group.label,
+    assets: group.assets,
+    ...(group.tierKey ? describeTierRewards(group.tierKey, window.rewards.tiers[group.tierKey]) : program)
+  }));
+
+  return {
+    scopeHTML: content ? content.innerHTML : '',
+    assets,
+    outOfScopeAssets: collectOutOfScopeAssets(window.storedApiData || {}, window.config),
+    ...program,
+    rewardCurrency: getRewardCurrency(),
+    rewardGroups
+  };
+}
+
+/**
+ * Build the content for one exporter. Returns '' for unknown ids.
+ */
+function buildExport(id) {
+  const exporter = exporters.find(e => e.id === id);
+  if (!exporter) return '';
+  return exporter.build(buildExportContext()) || '';
+}
+
+// ─────────────────────────────────────────────────────────────
+// Markdown
+// ─────────────────────────────────────────────────────────────
+registerExporter({
+  id: 'markdown',
+  label: '📝 Download Markdown (.md)',
+  copyLabel: '📋 Copy as Markdown',
+  extension: 'md',
+  mimeType: 'text/markdown',
+  build: ctx => scopeHtmlToMarkdown(ctx.scopeHTML)
+});
+
+// ─────────────────────────────────────────────────────────────
+// HackerOne structured-scope CSV
+// ─────────────────────────────────────────────────────────────
+const HACKERONE_CSV_COLUMNS = [
+  'identifier',
+  'asset_type',
+  'instruction',
+  'eligible_for_bounty',
+  'eligible_for_submission',
+  'max_severity'
+];
+
+// Manual asset kinds (manualassets.js) → HackerOne asset types
+const HACKERONE_MANUAL_TYPES = {
+  cidr: 'CIDR',
+  repository: 'SOURCE_CODE',
+  executable: 'DOWNLOADABLE_EXECUTABLES',
+  hardware: 'HARDWARE'
+};
+
+/**
+ * Helper: Map one asset from collectScopeAssets to a HackerOne scope row.
+ * Apps without a usable store ID fall back to OTHER with the store URL.
+ */
+function toHackerOneRow(asset, eligibleForBounty) {
+  const row = {
+    identifier: '',
+    asset_type: 'OTHER',
+    instruction: describeAsset(asset),
+    eligible_for_bounty: (eligibleForBounty && asset.bountyEligible !== false) ? 'true' : 'false',
+    eligible_for_submission: 'true',
+    max_severity: asset.maxSeverity || 'critical'
+  };
+
+  if (asset.type === 'website') {
+    row.identifier = asset.url;
+    row.asset_type = 'URL';
+  } else if (asset.type === 'wildcard') {
+    row.identifier = asset.url;
+    row.asset_type = 'WILDCARD';
+  } else if (asset.type === 'mobile') {
+    row.identifier = asset.storeId || asset.url || asset.name;
+    if (asset.storeId && asset.platform === 'iOS') row.asset_type = 'APPLE_STORE_APP_ID';
+    if (asset.storeId && asset.platform === 'Android') row.asset_type = 'GOOGLE_PLAY_APP_ID';
+  } else if (asset.type === 'api') {
+    row.identifier = asset.url || asset.name;
+    row.asset_type = asset.url ? 'URL' : 'OTHER';
+  } else if (asset.type === 'apiSubdomain') {
+    row.identifier = asset.url;
+    row.asset_type = 'URL';
+  } else if (asset.type === 'manual') {
+    row.identifier = asset.kind === 'repository' ? asset.url : asset.name;
+    row.asset_type = HACKERONE_MANUAL_TYPES[asset.kind] || 'OTHER';
+    if (asset.kind === 'cidr' && !asset.name.includes('/')) row.asset_type = 'IP_ADDRESS';
+  }
+
+  return row;
+}
+
+registerExporter({
+  id: 'hackerone',
+  label: '🟦 HackerOne scope (.csv)',
+  extension: 'csv',
+  fileLabel: 'hackerone',
+  mimeType: 'text/csv',
+  build: ctx => toCsv(
+    HACKERONE_CSV_COLUMNS,
+    [
+      ...ctx.assets.map(asset => toHackerOneRow(asset, ctx.bountyEligible)),
+      // Exclusions are listed as assets that are not eligible for submission
+      ...ctx.outOfScopeAssets.map(asset => ({
+        ...toHackerOneRow(asset, false),
+        eligible_for_submission: 'false'
+      }))
+    ].filter(row => row.identifier)
+  )
+});
+
+// ─────────────────────────────────────────────────────────────
+// Bugcrowd target groups
+// ─────────────────────────────────────────────────────────────
+// A JSON:API document as Bugcrowd's REST API takes it: one "target_group" resource per group,
+// its "target" resources in `included` (linked by local ids, lid). Reward ranges are not
+// target group attributes, so each paid group carries them in its `meta`.
+// Bugcrowd rewards by priority: P1 = critical … P4 = low (P5 is never paid)
+const BUGCROWD_PRIORITIES = { critical: 'P1', high: 'P2', medium: 'P3', low: 'P4' };
+
+function toBugcrowdTarget(asset) {
+  let category = 'other';
+  if (asset.type === 'website' || asset.type === 'wildcard') category = 'website';
+  else if (asset.type === 'api' || asset.type === 'apiSubdomain') category = 'api';
+  else if (asset.type === 'mobile' && asset.platform === 'iOS') category = 'ios';
+  else if (asset.type === 'mobile' && asset.platform === 'Android') category = 'android';
+  else if (asset.type === 'manual' && asset.kind === 'cidr') category = 'network';
+  else if (asset.type === 'manual' && asset.kind === 'hardware') category = 'hardware';
+
+  return {
+    name: asset.type === 'mobile' ? describeApp(asset) : asset.name,
+    uri: asset.url || '',
+    category,
+    description: describeAsset(asset)
+  };
+}
+
+registerExporter({
+  id: 'bugcrowd',
+  label: '🟧 Bugcrowd target groups (.json)',
+  extension: 'json',
+  fileLabel: 'bugcrowd',
+  mimeType: 'application/json',
+  build: ctx => {
+    const toRewardMeta = group => {
+      if (!group.bountyEligible) return undefined;
+      const rewardRanges = {};
+      Object.entries(BUGCROWD_PRIORITIES).forEach(([severity, priority]) => {
+        rewardRanges[priority] = group.rewardRanges[severity] || null;
+      });
+      rewardRanges.P5 = null;
+      return {
+        reward_tier: group.rewardTier ? group.rewardTier.title : null,
+        currency: ctx.rewardCurrency,
+        reward_ranges: rewardRanges
+      };
+    };
+
+    const included = [];
+    const toTargetGroup = ({ name, inScope, assets, meta }) => {
+      const targets = assets
+        .map(toBugcrowdTarget)
+        .filter(t => t.name || t.uri)
+        .map(attributes => {
+          const lid = `target-${included.length + 1}`;
+          included.push({ type: 'target', lid, attributes });
+          return { type: 'target', lid };
+        });
+      return {
+        type: 'target_group',
+        attributes: { name, in_scope: inScope },
+        relationships: { targets: { data: targets } },
+        ...(meta ? { meta } : {})
+      };
+    };
+
+    // One target group per row of the reward matrix, or a single one for the program tier
+    const paidGroups = ctx.rewardGroups.length
+      ? ctx.rewardGroups.map(group => ({ ...group, name: `In Scope – ${group.name}` }))
+      : [{ ...ctx, name: 'In Scope', assets: ctx.assets.filter(a => a.bountyEligible !== false) }];
+    const disclosureOnly = ctx.assets.filter(a => a.bountyEligible === false);
+
+    const groups = paidGroups.map(group => ({
+      name: group.name,
+      inScope: true,
+      assets: group.assets,
+      meta: toRewardMeta(group)
+    }));
+    if (disclosureOnly.length) {
+      groups.push({ name: 'In Scope (disclosure only)', inScope: true, assets: disclosureOnly });
+    }
+    if (ctx.outOfScopeAssets.length) {
+      groups.push({ name: 'Out of Scope', inScope: false, assets: ctx.outOfScopeAssets });
+    }
+
+    const data = groups.map(toTargetGroup);
+    return toJson({ data, included });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// Intigriti domains
+// ─────────────────────────────────────────────────────────────
+// Program domains as the Intigriti API lists them: { type, endpoint, tier, description }, where
+// type and tier are { id, value } pairs. Intigriti has three bounty tiers (Tier 1 pays most);
+// bountyTables lists the amounts paid in each tier used.
+const INTIGRITI_TYPE_IDS = { Url: 1, Android: 2, iOS: 3, IpRange: 4, Device: 5, Other: 6, Wildcard: 7 };
+const INTIGRITI_TIER_IDS = { 'No Bounty': 1, 'Tier 3': 2, 'Tier 2': 3, 'Tier 1': 4, 'Out Of Scope': 5 };
+
+function toIntigritiDomain(asset, bountyEligible, tier = 'Tier 1') {
+  let type = 'Other';
+  if (asset.type === 'website') type = 'Url';
+  else if (asset.type === 'wildcard') type = 'Wildcard';
+  else if (asset.type === 'api') type = asset.url ? 'Url' : 'Other';
+  else if (asset.type === 'apiSubdomain') type = 'Url';
+  else if (asset.type === 'manual' && asset.kind === 'cidr') type = 'IpRange';
+  else if (asset.type === 'manual' && asset.kind === 'hardware') type = 'Device';
+  else if (asset.type === 'mobile' && asset.storeId && asset.platform === 'iOS') type = 'iOS';
+  else if (asset.type === 'mobile' && asset.storeId && asset.platform === 'Android') type = 'Android';
+
+  const endpoint = (type === 'iOS' || type === 'Android')
+    ? asset.storeId
+    : (asset.url || asset.name);
+  if (asset.reason) tier = 'Out Of Scope';
+  else if (!bountyEligible || asset.bountyEligible === false) tier = 'No Bounty';
+
+  return {
+    type: { id: INTIGRITI_TYPE_IDS[type], value: type },
+    endpoint,
+    tier: { id: INTIGRITI_TIER_IDS[tier], value: tier },
+    description: describeAsset(asset)
+  };
+}
+
+registerExporter({
+  id: 'intigriti',
+  label: '🟪 Intigriti domains (.json)',
+  extension: 'json',
+  fileLabel: 'intigriti',
+  mimeType: 'application/json',
+  build: ctx => {
+    const toBountyTable = (group, tier, name) => ({
+      tier: { id: INTIGRITI_TIER_IDS[tier], value: tier },
+      ...(name ? { name } : {}),
+      currency: ctx.rewardCurrency,
+      reward_tier: group.rewardTier ? group.rewardTier.title : null,
+      ...group.rewardRanges
+    });
+
+    if (!ctx.rewardGroups.length) {
+      return toJson({
+        domains: [...ctx.assets, ...ctx.outOfScopeAssets]
+          .map(asset => toIntigritiDomain(asset, ctx.bountyEligible))
+          .filter(d => d.endpoint),
+        bountyTables: ctx.bountyEligible ? [toBountyTable(ctx, 'Tier 1')] : []
+      });
+    }
+
+    // A reward matrix: rows are ranked by their top reward (open ranges first) into Tier 1, 2
+    // and 3; rows paying the same share a tier, any beyond the third share Tier 3
+    const topRewards = ctx.rewardGroups.map(group => Math.max(0, ...Object.values(group.rewardRanges)
+      .filter(Boolean)
+      .map(range => range.max ?? Infinity)));
+    const ranks = [...new Set(topRewards)].sort((a, b) => b - a);
+    const tierOf = i => `Tier ${Math.min(ranks.indexOf(topRewards[i]) + 1, 3)}`;
+    const groupOf = new Map();
+    ctx.rewardGroups.forEach((group, i) => group.assets.forEach(asset => groupOf.set(asset.key, i)));
+    const domains = [...ctx.assets, ...ctx.outOfScopeAssets].map(asset => {
+      const i = groupOf.get(asset.key);
+      return i === undefined
+        ? toIntigritiDomain(asset, false)
+        : toIntigritiDomain(asset, ctx.rewardGroups[i].bountyEligible, tierOf(i));
+    });
+
+    return toJson({
+      domains: domains.filter(d => d.endpoint),
+      bountyTables: ctx.rewardGroups
+        .map((group, i) => (group.bountyEligible ? toBountyTable(group, tierOf(i), group.name) : null))
+        .filter(Boolean)
+    });
+  }
+});
+
+/**
+ * Trigger a browser download for a text payload.
+ */
+function downloadTextFile(fileName, text, mimeType = 'text/plain') {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Copy plain text to the clipboard.
+ * Uses the async Clipboard API when available, else a hidden <textarea>.
+ * Resolves true on success.
+ */
+async function copyTextToClipboard(text) {
+  try {
+    if (navigator.clipboard && window.isSecureContext) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch (err) {
+    console.warn('Clipboard API failed, falling back:', err);
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+
+  let ok = false;
+  try {
+    ok = document.execCommand('copy');
+  } catch (err) {
+    console.error('Copy failed:', err);
+  }
+  document.body.removeChild(textarea);
+  return ok;
+}
+
+export {
+  scopeHtmlToMarkdown,
+  registerExporter,
+  getExporters,
+  buildExport,
+  buildExportFileName,
+  downloadTextFile,
+  copyTextToClipboard
+};
@@ -0,0 +1,159 @@
+// hostnames.js — Canonical host names: IDN (punycode) conversion and public-suffix lookups
+// No imports from the app modules, so api.js and domains.js can both use it.
+// Canonical form = lowercase ASCII (punycode) host without scheme, port, path or a leading
+// "www." — the form used for cache keys, DNS checks and backend requests.
+// toUnicodeHost gives the form shown to people (In-Scope entries, domain lists).
+
+import { PUBLIC_SUFFIX_RULES } from './publicsuffix.js';
+
+const SUFFIX_RULES = new Set(PUBLIC_SUFFIX_RULES);
+
+// ─────────────────────────────────────────────────────────────
+// Punycode (RFC 3492) decoding; encoding is left to the URL parser
+// ─────────────────────────────────────────────────────────────
+const BASE = 36, TMIN = 1, TMAX = 26, SKEW = 38, DAMP = 700, INITIAL_BIAS = 72, INITIAL_N = 128;
+
+function adaptBias(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+  let k = 0;
+  while (delta > ((BASE - TMIN) * TMAX) >> 1) {
+    delta = Math.floor(delta / (BASE - TMIN));
+    k += BASE;
+  }
+  return k + Math.floor(((BASE - TMIN + 1) * delta) / (delta + SKEW));
+}
+
+/**
+ * Helper: Decode the part of an IDN label after "xn--". Throws on malformed input.
+ */
+function decodePunycode(input) {
+  if (!/^[a-z0-9-]*$/i.test(input)) throw new Error('Invalid punycode');
+  const basicEnd = input.lastIndexOf('-');
+  const output = [];
+  for (let j = 0; j < basicEnd; j++) output.push(input.charCodeAt(j));
+
+  let n = INITIAL_N;
+  let bias = INITIAL_BIAS;
+  let i = 0;
+  for (let idx = basicEnd >= 0 ? basicEnd + 1 : 0; idx < input.length;) {
+    const oldI = i;
+    for (let w = 1, k = BASE; ; k += BASE) {
+      if (idx >= input.length) throw new Error('Invalid punycode');
+      const c = input.toLowerCase().charCodeAt(idx++);
+      const digit = c >= 48 && c <= 57 ? c - 22 : c - 97;
+      if (digit < 0 || digit >= BASE) throw new Error('Invalid punycode');
+      i += digit * w;
+      const t = k <= bias ? TMIN : (k >= bias + TMAX ? TMAX : k - bias);
+      if (digit < t) break;
+      w *= BASE - t;
+    }
+    const length = output.length + 1;
+    bias = adaptBias(i - oldI, length, oldI === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    if (n > 0x10ffff) throw new Error('Invalid punycode');
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
+
+/**
+ * Helper: True when every "xn--" label of an ASCII host decodes.
+ */
+function hasValidIdnLabels(host) {
+  return String(host || '').split('.').every(label => {
+    if (!label.startsWith('xn--')) return true;
+    try {
+      return decodePunycode(label.slice(4)).length > 0;
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * ASCII (punycode) form of a host, e.g. "bücher.de" → "xn--bcher-kva.de".
+ * Returns '' when the host cannot be converted.
+ */
+function toAsciiHost(host) {
+  const s = String(host || '').trim().toLowerCase();
+  if (/^[\x00-\x7f]*$/.test(s)) return s;
+  try {
+    return new URL(`http://${s}`).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Unicode form of a host for display, e.g. "xn--bcher-kva.de" → "bücher.de".
+ * Labels that do not decode are kept as they are; a leading "*." is preserved.
+ */
+function toUnicodeHost(host) {
+  return String(host || '').split('.').map(label => {
+    if (!label.toLowerCase().startsWith('xn--')) return label;
+    try {
+      return decodePunycode(label.slice(4));
+    } catch {
+      return label;
+    }
+  }).join('.');
+}
+
+// ─────────────────────────────────────────────────────────────
+// Public suffixes (publicsuffix.js)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Public suffix of an ASCII host ("shop.example.co.uk" → "co.uk").
+ * The longest matching rule wins; exception rules ("!www.ck") beat wildcards ("*.ck"),
+ * and a host matching no rule falls back to its TLD.
+ */
+function getPublicSuffix(host) {
+  const labels = String(host || '').toLowerCase().split('.').filter(Boolean);
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (SUFFIX_RULES.has(`!${candidate}`)) return labels.slice(i + 1).join('.');
+    if (SUFFIX_RULES.has(candidate)) return candidate;
+    if (i < labels.length - 1 && SUFFIX_RULES.has(`*.${labels.slice(i + 1).join('.')}`)) return candidate;
+  }
+  return labels[labels.length - 1] || '';
+}
+
+/**
+ * Registrable domain of an ASCII host: its public suffix plus one label
+ * ("shop.example.co.uk" → "example.co.uk"). '' when the host is itself a public suffix.
+ */
+function getRegistrableDomain(host) {
+  const labels = String(host || '').toLowerCase().split('.').filter(Boolean);
+  const suffixLength = getPublicSuffix(host).split('.').filter(Boolean).length;
+  if (labels.length <= suffixLength) return '';
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Canonical host of a URL or bare host name (see the header).
+ * "www." is only dropped when the rest is still a registrable name ("www.gov.uk" stays).
+ * Wildcards keep their "*." prefix. Returns '' when nothing usable is left.
+ */
+function canonicalizeHost(input) {
+  let s = String(input || '').trim();
+  s = s.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  s = s.split(/[/?#]/)[0].replace(/^[^@]*@/, '').replace(/:\d*$/, '').replace(/\.$/, '');
+
+  const wildcard = s.startsWith('*.');
+  let host = toAsciiHost(wildcard ? s.slice(2) : s);
+  if (!host) return '';
+  if (host.startsWith('www.') && getRegistrableDomain(host.slice(4))) host = host.slice(4);
+  return wildcard ? `*.${host}` : host;
+}
+
+export {
+  toAsciiHost,
+  toUnicodeHost,
+  hasValidIdnLabels,
+  getPublicSuffix,
+  getRegistrableDomain,
+  canonicalizeHost
+};
@@ -0,0 +1,15 @@
+// html.js — Escaping for text placed into generated HTML (scope text, builder UI, popups)
+// No imports from the app modules, so every module can use it.
+
+/**
+ * Helper: Escape text for HTML content and double-quoted attribute values.
+ */
+function escapeHtml(s = '') {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export { escapeHtml };
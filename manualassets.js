@@ -0,0 +1,393 @@
+// manualassets.js — Asset types the backend cannot discover (IP ranges, repositories, devices…)
+// Entered on the first page; kept in storedApiData.manualAssets and persisted as manualAssets.
+
+import { storedApiData } from './api.js';
+
+const MANUAL_ASSETS_KEY = 'manualAssets';
+
+/**
+ * Helper: IPv4/IPv6 address, optionally with a CIDR prefix (203.0.113.0/24, 2001:db8::/32).
+ */
+function isValidIpOrCidr(value) {
+  const [ip, prefix, extra] = String(value || '').trim().split('/');
+  if (extra !== undefined || !ip) return false;
+
+  const ipv4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(ip);
+  let maxPrefix;
+  if (ipv4) {
+    if (ipv4.slice(1).some(octet => Number(octet) > 255)) return false;
+    maxPrefix = 32;
+  } else if (ip.includes(':')) {
+    try {
+      new URL(`http://[${ip}]`);
+    } catch {
+      return false;
+    }
+    maxPrefix = 128;
+  } else {
+    return false;
+  }
+
+  if (prefix === undefined) return true;
+  return /^\d{1,3}$/.test(prefix) && Number(prefix) <= maxPrefix;
+}
+
+function isHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+const urlCheck = (example) => (value) =>
+  isHttpUrl(value) ? '' : `Please enter a full URL (e.g. ${example}).`;
+
+/**
+ * The editable asset kinds. The first field is the asset's name in the In-Scope block;
+ * "url" (when present) is its link for the exporters.
+ */
+const MANUAL_ASSET_TYPES = {
+  cidr: {
+    label: 'IP range / CIDR',
+    scopeLabel: 'IP RANGE',
+    icon: '🖧',
+    fields: [
+      {
+        id: 'address', label: 'IP address or CIDR', placeholder: '203.0.113.0/24', required: true,
+        validate: v => isValidIpOrCidr(v) ? '' : 'Please enter an IPv4/IPv6 address or CIDR range (e.g. 203.0.113.0/24).'
+      },
+      { id: 'description', label: 'Description', placeholder: 'Office VPN gateways' }
+    ]
+  },
+  repository: {
+    label: 'Source code repository',
+    scopeLabel: 'SOURCE CODE',
+    icon: '📦',
+    fields: [
+      { id: 'url', label: 'Repository URL', placeholder: 'https://github.com/example/app', required: true, validate: urlCheck('https://github.com/example/app') },
+      { id: 'branch', label: 'Branch', placeholder: 'main' }
+    ]
+  },
+  executable: {
+    label: 'Desktop executable',
+    scopeLabel: 'DESKTOP APP',
+    icon: '💻',
+    fields: [
+      { id: 'name', label: 'Name', placeholder: 'Example Desktop', required: true },
+      { id: 'platform', label: 'Platform', options: ['Windows', 'macOS', 'Linux', 'Cross-platform'], required: true },
+      { id: 'url', label: 'Download URL', placeholder: 'https://example.com/download', validate: urlCheck('https://example.com/download') },
+      { id: 'version', label: 'Version', placeholder: '2.4 and later' }
+    ]
+  },
+  hardware: {
+    label: 'Hardware / IoT device',
+    scopeLabel: 'HARDWARE',
+    icon: '🔌',
+    fields: [
+      { id: 'name', label: 'Device name', placeholder: 'Example Smart Hub', required: true },
+      { id: 'model', label: 'Model', placeholder: 'EX-200' },
+      { id: 'firmware', label: 'Firmware version', placeholder: '3.1.0 and later' }
+    ]
+  },
+  browserExtension: {
+    label: 'Browser extension',
+    scopeLabel: 'BROWSER EXTENSION',
+    icon: '🧭',
+    fields: [
+      { id: 'name', label: 'Name', placeholder: 'Example Password Helper', required: true },
+      { id: 'browser', label: 'Browser', options: ['Chrome', 'Firefox', 'Edge', 'Safari', 'Other'], required: true },
+      { id: 'url', label: 'Store URL', placeholder: 'https://chromewebstore.google.com/detail/…', validate: urlCheck('https://addons.mozilla.org/…') }
+    ]
+  },
+  other: {
+    label: 'Other',
+    scopeLabel: 'OTHER',
+    icon: '📎',
+    fields: [
+      { id: 'name', label: 'Name', placeholder: 'Customer support phone line', required: true },
+      { id: 'description', label: 'Description', placeholder: 'What researchers may test' }
+    ]
+  }
+};
+
+function getManualAssets() {
+  if (Array.isArray(storedApiData.manualAssets)) return storedApiData.manualAssets;
+  return [];
+}
+
+function setManualAssets(list) {
+  storedApiData.manualAssets = list;
+  if (list.length) localStorage.setItem(MANUAL_ASSETS_KEY, JSON.stringify(list));
+  else localStorage.removeItem(MANUAL_ASSETS_KEY);
+  try { window.dispatchEvent(new CustomEvent('scope-assets-changed')); } catch {}
+}
+
+/**
+ * Validate raw form values for one kind.
+ * Returns { values, error } — values only holds the fields of that kind, trimmed.
+ */
+function validateManualAsset(kind, raw) {
+  const def = MANUAL_ASSET_TYPES[kind];
+  if (!def) return { values: null, error: 'Please choose an asset type.' };
+
+  const values = {};
+  for (const field of def.fields) {
+    const value = String(raw?.[field.id] || '').trim();
+    if (!value) {
+      if (field.required) return { values: null, error: `${field.label} is required.` };
+      continue;
+    }
+    if (field.options && !field.options.includes(value)) {
+      return { values: null, error: `Please choose a ${field.label.toLowerCase()}.` };
+    }
+    const error = field.validate ? field.validate(value) : '';
+    if (error) return { values: null, error };
+    values[field.id] = value;
+  }
+  return { values, error: '' };
+}
+
+/**
+ * Helper: Map one stored manual asset to the shared asset model (see assets.js).
+ * { type: 'manual', kind, label, icon, scopeLabel, name, url, fields: [{ label, value }] }
+ * "fields" holds the remaining filled-in fields, in form order.
+ */
+function toScopeAsset(entry) {
+  const def = MANUAL_ASSET_TYPES[entry?.kind];
+  if (!def) return null;
+  const [nameField, ...otherFields] = def.fields;
+  const name = entry.values?.[nameField.id] || '';
+  if (!name) return null;
+
+  return {
+    type: 'manual',
+    kind: entry.kind,
+    label: def.label,
+    icon: def.icon,
+    scopeLabel: def.scopeLabel,
+    name,
+    url: entry.values.url || '',
+    fields: otherFields
+      .filter(f => entry.values[f.id])
+      .map(f => ({ label: f.label, value: entry.values[f.id] }))
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Manual asset editor (UI on the first page)
+// ─────────────────────────────────────────────────────────────
+
+let editingId = null;
+
+function showManualAssetError(msg) {
+  const el = document.getElementById('manualAssetError');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.classList.toggle('hidden', !msg);
+}
+
+// Typed inputs for the selected kind, prefilled from values
+function renderManualAssetFields(kind, values = {}) {
+  const container = document.getElementById('manualAssetFields');
+  if (!container) return;
+  container.innerHTML = '';
+
+  (MANUAL_ASSET_TYPES[kind]?.fields || []).forEach(field => {
+    const label = document.createElement('label');
+    label.className = 'block text-sm text-gray-700';
+    label.textContent = `${field.label}${field.required ? ' *' : ''}`;
+
+    let input;
+    if (field.options) {
+      input = document.createElement('select');
+      const empty = document.createElement('option');
+      empty.value = '';
+      empty.textContent = 'Choose…';
+      input.appendChild(empty);
+      field.options.forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue;
+        input.appendChild(option);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = field.placeholder || '';
+    }
+    input.dataset.manualField = field.id;
+    input.className = 'mt-1 w-full px-3 py-2 border rounded';
+    input.value = values[field.id] || '';
+
+    label.appendChild(input);
+    container.appendChild(label);
+  });
+}
+
+function renderManualAssets() {
+  const listEl = document.getElementById('manualAssetsList');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  getManualAssets().forEach(entry => {
+    const asset = toScopeAsset(entry);
+    if (!asset) return;
+
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-2 bg-gray-50 border rounded px-3 py-1 text-sm';
+
+    const name = document.createElement('span');
+    name.className = 'text-gray-800';
+    name.textContent = `${asset.icon} ${asset.name}`;
+
+    const info = document.createElement('span');
+    info.className = 'flex-1 text-xs text-gray-500';
+    info.textContent = asset.label;
+
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'text-blue-600 hover:underline text-xs';
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', () => startEditing(entry));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.title = `Remove ${asset.name}`;
+    remove.className = 'text-gray-400 hover:text-red-600 font-bold';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => removeManualAsset(entry.id));
+
+    row.append(name, info, edit, remove);
+    listEl.appendChild(row);
+  });
+}
+
+function resetManualAssetForm() {
+  editingId = null;
+  const typeSelect = document.getElementById('manualAssetType');
+  renderManualAssetFields(typeSelect?.value);
+  showManualAssetError('');
+  const saveBtn = document.getElementById('saveManualAssetButton');
+  if (saveBtn) saveBtn.textContent = 'Add';
+  document.getElementById('cancelManualAssetEdit')?.classList.add('hidden');
+}
+
+function startEditing(entry) {
+  editingId = entry.id;
+  const typeSelect = document.getElementById('manualAssetType');
+  if (typeSelect) typeSelect.value = entry.kind;
+  renderManualAssetFields(entry.kind, entry.values);
+  showManualAssetError('');
+  const saveBtn = document.getElementById('saveManualAssetButton');
+  if (saveBtn) saveBtn.textContent = 'Save';
+  document.getElementById('cancelManualAssetEdit')?.classList.remove('hidden');
+}
+
+function saveManualAssetFromForm() {
+  const kind = document.getElementById('manualAssetType')?.value;
+  const raw = {};
+  document.querySelectorAll('#manualAssetFields [data-manual-field]').forEach(input => {
+    raw[input.dataset.manualField] = input.value;
+  });
+
+  const { values, error } = validateManualAsset(kind, raw);
+  if (error) {
+    showManualAssetError(error);
+    return false;
+  }
+
+  const list = getManualAssets();
+  const nameField = MANUAL_ASSET_TYPES[kind].fields[0].id;
+  const duplicate = list.some(e =>
+    e.id !== editingId && e.kind === kind &&
+    String(e.values?.[nameField] || '').toLowerCase() === values[nameField].toLowerCase()
+  );
+  if (duplicate) {
+    showManualAssetError(`${values[nameField]} is already listed.`);
+    return false;
+  }
+
+  if (editingId) {
+    setManualAssets(list.map(e => (e.id === editingId ? { ...e, kind, values } : e)));
+  } else {
+    const id = `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    setManualAssets([...list, { id, kind, values }]);
+  }
+
+  resetManualAssetForm();
+  renderManualAssets();
+  return true;
+}
+
+function removeManualAsset(id) {
+  setManualAssets(getManualAssets().filter(e => e.id !== id));
+  if (editingId === id) resetManualAssetForm();
+  renderManualAssets();
+}
+
+/**
+ * Rebuild the in-memory list from localStorage (startup / project open).
+ */
+function loadManualAssets() {
+  let list = [];
+  try {
+    const parsed = JSON.parse(localStorage.getItem(MANUAL_ASSETS_KEY) || '[]');
+    if (Array.isArray(parsed)) list = parsed.filter(e => e && MANUAL_ASSET_TYPES[e.kind] && e.values);
+  } catch {
+    console.warn('⚠️ Ignoring unreadable manualAssets');
+  }
+  storedApiData.manualAssets = list;
+  resetManualAssetForm();
+  renderManualAssets();
+}
+
+// Reset: forget every manual asset
+function clearManualAssets() {
+  storedApiData.manualAssets = [];
+  localStorage.removeItem(MANUAL_ASSETS_KEY);
+  resetManualAssetForm();
+  renderManualAssets();
+}
+
+function setupManualAssets() {
+  const typeSelect = document.getElementById('manualAssetType');
+  const saveBtn = document.getElementById('saveManualAssetButton');
+  const cancelBtn = document.getElementById('cancelManualAssetEdit');
+  if (!typeSelect || !saveBtn) return;
+
+  typeSelect.innerHTML = '';
+  Object.entries(MANUAL_ASSET_TYPES).forEach(([kind, def]) => {
+    const option = document.createElement('option');
+    option.value = kind;
+    option.textContent = `${def.icon} ${def.label}`;
+    typeSelect.appendChild(option);
+  });
+
+  typeSelect.addEventListener('change', () => {
+    renderManualAssetFields(typeSelect.value);
+    showManualAssetError('');
+  });
+  saveBtn.addEventListener('click', saveManualAssetFromForm);
+  cancelBtn?.addEventListener('click', resetManualAssetForm);
+
+  // Enter in a text field saves the asset
+  document.getElementById('manualAssetFields')?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return;
+    e.preventDefault();
+    saveManualAssetFromForm();
+  });
+
+  resetManualAssetForm();
+}
+
+export {
+  MANUAL_ASSET_TYPES,
+  isValidIpOrCidr,
+  validateManualAsset,
+  getManualAssets,
+  toScopeAsset,
+  setupManualAssets,
+  loadManualAssets,
+  clearManualAssets
+};
@@ -0,0 +1,212 @@
+// mobileoptions.js — Mobile app search mode and store version lookup (program-wide, in localStorage)
+// Each search is cached in the apiData_<domain> blob, so switching back needs no new request:
+//   mobileSearches: { "app_name": { mobileDetails, mobileVersions }, "app_ids:com.a,com.b": {…} }
+
+const APP_VERSIONS_KEY = 'retrieveAppVersions';
+const SEARCH_MODE_KEY = 'mobileSearchMode';
+const APP_IDS_KEY = 'mobileAppIds';
+
+const MOBILE_SEARCH_MODES = {
+  app_name: 'App name',
+  developer_name: 'Developer name',
+  app_ids: 'Bundle / package IDs'
+};
+
+function isAppVersionLookupEnabled() {
+  return localStorage.getItem(APP_VERSIONS_KEY) === '1';
+}
+
+function getMobileSearchMode() {
+  const mode = localStorage.getItem(SEARCH_MODE_KEY);
+  return MOBILE_SEARCH_MODES[mode] ? mode : 'app_name';
+}
+
+function getMobileAppIds() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(APP_IDS_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Helper: Split a comma/space separated list into App Store IDs (id123…), bundle IDs and package names.
+ * Returns { ids, invalid } with the IDs deduped in their original order.
+ */
+function parseMobileAppIds(text) {
+  const ids = [];
+  const invalid = [];
+  String(text || '').split(/[\s,;]+/).filter(Boolean).forEach(raw => {
+    const id = /^\d+$/.test(raw) ? `id${raw}` : raw;
+    if (!/^id\d+$/.test(id) && !/^[A-Za-z][\w-]*(\.[A-Za-z0-9_-]+)+$/.test(id)) invalid.push(raw);
+    else if (!ids.includes(id)) ids.push(id);
+  });
+  return { ids, invalid };
+}
+
+/**
+ * Helper: Cache key of the current search (mode, plus the IDs for an ID search).
+ */
+function getMobileSearchKey() {
+  const mode = getMobileSearchMode();
+  return mode === 'app_ids' ? `app_ids:${getMobileAppIds().slice().sort().join(',')}` : mode;
+}
+
+/**
+ * Helper: Request parameters for fetchMobileAppDetailsForDomain.
+ */
+function getMobileFetchOptions() {
+  const search_mode = getMobileSearchMode();
+  return {
+    search_mode,
+    retrieve_android_version: isAppVersionLookupEnabled(),
+    app_ids: search_mode === 'app_ids' ? getMobileAppIds() : undefined,
+    searchKey: getMobileSearchKey()
+  };
+}
+
+/**
+ * Helper: Whether a domain's mobile results ({ mobileDetails, mobileSearch, mobileVersions })
+ * were fetched with the current options. Versions only matter when apps were found.
+ */
+function isMobileCacheCurrent(fetchedWith) {
+  if (fetchedWith?.mobileSearch !== getMobileSearchKey()) return false;
+  return !isAppVersionLookupEnabled() || !fetchedWith.mobileDetails || !!fetchedWith.mobileVersions;
+}
+
+/**
+ * Helper: Cached results of the current search in an apiData_<domain> blob.
+ * Blobs saved before mobileSearches existed hold app-name results at the top level.
+ */
+function readMobileCache(blob) {
+  const mobileSearch = getMobileSearchKey();
+  const entry = blob?.mobileSearches
+    ? blob.mobileSearches[mobileSearch]
+    : (mobileSearch === 'app_name' ? blob : null);
+  return {
+    mobileDetails: entry?.mobileDetails || null,
+    mobileVersions: !!entry?.mobileVersions,
+    mobileSearch
+  };
+}
+
+/**
+ * Helper: mobileSearches for a blob being saved — the earlier searches plus `data`'s results.
+ * Only the latest ID search is kept.
+ */
+function mergeMobileSearches(blob, data) {
+  const searches = { ...(blob?.mobileSearches || (blob?.mobileDetails ? { app_name: blob } : {})) };
+  Object.keys(searches).forEach(key => {
+    searches[key] = { mobileDetails: searches[key].mobileDetails || null, mobileVersions: !!searches[key].mobileVersions };
+  });
+
+  if (data?.mobileSearch && data.mobileDetails) {
+    if (data.mobileSearch.startsWith('app_ids:')) {
+      Object.keys(searches).filter(key => key.startsWith('app_ids:')).forEach(key => delete searches[key]);
+    }
+    searches[data.mobileSearch] = { mobileDetails: data.mobileDetails, mobileVersions: !!data.mobileVersions };
+  }
+  return searches;
+}
+
+/**
+ * Switch the search (and the IDs for an ID search).
+ * The no-data/last-error flags belong to the previous search, so they are dropped.
+ */
+function setMobileSearch(mode, appIds = getMobileAppIds()) {
+  if (!MOBILE_SEARCH_MODES[mode]) return;
+  if (mode === 'app_name') localStorage.removeItem(SEARCH_MODE_KEY);
+  else localStorage.setItem(SEARCH_MODE_KEY, mode);
+  if (appIds.length) localStorage.setItem(APP_IDS_KEY, JSON.stringify(appIds));
+  else localStorage.removeItem(APP_IDS_KEY);
+
+  Object.keys(localStorage)
+    .filter(key => key.startsWith('noMobileData_') || key.startsWith('mobileLastError_'))
+    .forEach(key => localStorage.removeItem(key));
+  console.log(`🔍 Mobile app search: ${MOBILE_SEARCH_MODES[mode]}`);
+}
+
+function loadMobileOptions() {
+  const checkbox = document.getElementById('retrieveAppVersions');
+  if (checkbox) checkbox.checked = isAppVersionLookupEnabled();
+
+  const modeSelect = document.getElementById('mobileSearchMode');
+  const idsInput = document.getElementById('mobileAppIds');
+  if (modeSelect) modeSelect.value = getMobileSearchMode();
+  if (idsInput) {
+    idsInput.value = getMobileAppIds().join(', ');
+    idsInput.classList.toggle('hidden', getMobileSearchMode() !== 'app_ids');
+  }
+  document.getElementById('mobileAppIdsError')?.classList.add('hidden');
+}
+
+/**
+ * Wire the builder controls. `onChange` runs after an option is saved
+ * (script.js passes the loader refresh so cached results pick up the new options).
+ */
+function setupMobileOptions(onChange) {
+  const notify = () => { if (typeof onChange === 'function') onChange(); };
+
+  const checkbox = document.getElementById('retrieveAppVersions');
+  if (checkbox) {
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) localStorage.setItem(APP_VERSIONS_KEY, '1');
+      else localStorage.removeItem(APP_VERSIONS_KEY);
+      console.log(`📦 App version lookup ${checkbox.checked ? 'enabled' : 'disabled'}`);
+      notify();
+    });
+  }
+
+  const modeSelect = document.getElementById('mobileSearchMode');
+  const idsInput = document.getElementById('mobileAppIds');
+  const errorEl = document.getElementById('mobileAppIdsError');
+  if (!modeSelect || !idsInput) return;
+
+  modeSelect.innerHTML = '';
+  Object.entries(MOBILE_SEARCH_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    modeSelect.appendChild(option);
+  });
+
+  // An ID search only runs once at least one valid ID is entered
+  const apply = () => {
+    const mode = modeSelect.value;
+    idsInput.classList.toggle('hidden', mode !== 'app_ids');
+    const { ids, invalid } = parseMobileAppIds(idsInput.value);
+    if (errorEl) {
+      errorEl.textContent = invalid.length ? `Not a bundle ID, package name or App Store ID: ${invalid.join(', ')}` : '';
+      errorEl.classList.toggle('hidden', !invalid.length || mode !== 'app_ids');
+    }
+    if (mode === 'app_ids' && (!ids.length || invalid.length)) return;
+    setMobileSearch(mode, ids);
+    notify();
+  };
+
+  modeSelect.addEventListener('change', apply);
+  idsInput.addEventListener('change', apply);
+}
+
+function clearMobileOptions() {
+  [APP_VERSIONS_KEY, SEARCH_MODE_KEY, APP_IDS_KEY].forEach(key => localStorage.removeItem(key));
+  loadMobileOptions();
+}
+
+export {
+  APP_VERSIONS_KEY,
+  MOBILE_SEARCH_MODES,
+  getMobileSearchMode,
+  getMobileAppIds,
+  parseMobileAppIds,
+  getMobileSearchKey,
+  getMobileFetchOptions,
+  isMobileCacheCurrent,
+  readMobileCache,
+  mergeMobileSearches,
+  setMobileSearch,
+  setupMobileOptions,
+  loadMobileOptions,
+  clearMobileOptions
+};
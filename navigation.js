@@ -113,6 +113,18 @@ function updateResetButton() {
   resetBtn.tabIndex = show ? 0 : -1;
 }
 
+// Show/hide Save/Open project buttons (config; visible on both steps when enabled)
+function updateProjectButtons() {
+  const show = !!window.config?.showProjectButtons;
+  ['saveProjectButton', 'openProjectButton'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    btn.classList.toggle('hidden', !show);
+    btn.setAttribute('aria-hidden', String(!show));
+    btn.tabIndex = show ? 0 : -1;
+  });
+}
+
 // Show/hide Back button (only on FINAL)
 function updateBackButton(stepIndex) {
   const backButton = document.getElementById('backButton');
@@ -155,6 +167,7 @@ function showStep(stepIndex) {
   // ✅ Always run control updates (even on initial paint when stepIndex === 0)
   updateDataButton(stepIndex);             // respects config and step
   updateResetButton();                     // respects config
+  updateProjectButtons();                  // respects config
   updateBackButton(stepIndex);             // show on FINAL only
   updateGenerateProgramButton(stepIndex);  // hide on FINAL
   syncGenerateButtonState();               // keep Generate visual state in sync
@@ -0,0 +1,214 @@
+// payoutrules.js — Payout rules for the Rewards block: duplicates, bonuses, partial fixes and payment
+
+import { escapeHtml } from './html.js';
+
+const PAYOUT_RULES_KEY = 'payoutRules';
+const DEFAULT_PAYOUT_RULES = {
+  duplicates: '',
+  duplicateWindow: 24,
+  chainBonus: { enabled: false, percent: 20 },
+  partialFix: { enabled: false, percent: 50 },
+  criticalAssetBonus: { enabled: false, percent: 25, assets: '' },
+  paymentMethods: [],
+  paymentDays: null,
+  paymentAfter: 'triage'
+};
+const PAYMENT_METHODS = {
+  bank: 'bank transfer',
+  paypal: 'PayPal',
+  platform: 'the bug bounty platform',
+  crypto: 'cryptocurrency'
+};
+const PAYMENT_AFTER = {
+  triage: 'the report being triaged',
+  fix: 'the fix being deployed'
+};
+
+function getPayoutRules() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(PAYOUT_RULES_KEY) || '{}') || {};
+  } catch {}
+
+  const percentRule = (key) => {
+    const rule = { ...DEFAULT_PAYOUT_RULES[key], ...(stored[key] || {}), enabled: stored[key]?.enabled === true };
+    if (!Number.isFinite(rule.percent)) rule.percent = DEFAULT_PAYOUT_RULES[key].percent;
+    return rule;
+  };
+  return {
+    duplicates: ['first', 'split'].includes(stored.duplicates) ? stored.duplicates : '',
+    duplicateWindow: Number.isFinite(stored.duplicateWindow) ? stored.duplicateWindow : DEFAULT_PAYOUT_RULES.duplicateWindow,
+    chainBonus: percentRule('chainBonus'),
+    partialFix: percentRule('partialFix'),
+    criticalAssetBonus: percentRule('criticalAssetBonus'),
+    paymentMethods: Array.isArray(stored.paymentMethods) ? stored.paymentMethods.filter(m => PAYMENT_METHODS[m]) : [],
+    paymentDays: Number.isFinite(stored.paymentDays) ? stored.paymentDays : null,
+    paymentAfter: PAYMENT_AFTER[stored.paymentAfter] ? stored.paymentAfter : 'triage'
+  };
+}
+
+function savePayoutRules(rules) {
+  const isDefault = JSON.stringify(rules) === JSON.stringify(DEFAULT_PAYOUT_RULES);
+  if (isDefault) localStorage.removeItem(PAYOUT_RULES_KEY);
+  else localStorage.setItem(PAYOUT_RULES_KEY, JSON.stringify(rules));
+}
+
+/**
+ * Helper: Check rules read from the form before saving.
+ * Returns an error message, or '' when they are usable.
+ */
+function validatePayoutRules(rules) {
+  const isWhole = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+  if (rules.duplicates === 'split' && !isWhole(rules.duplicateWindow, 1, 720)) {
+    return 'The duplicate window must be between 1 and 720 hours.';
+  }
+  if (rules.chainBonus.enabled && !isWhole(rules.chainBonus.percent, 1, 100)) {
+    return 'The exploit chain bonus must be between 1% and 100%.';
+  }
+  if (rules.partialFix.enabled && !isWhole(rules.partialFix.percent, 1, 99)) {
+    return 'Partial fixes must be paid at between 1% and 99% of the reward.';
+  }
+  if (rules.criticalAssetBonus.enabled && !isWhole(rules.criticalAssetBonus.percent, 1, 100)) {
+    return 'The critical asset bonus must be between 1% and 100%.';
+  }
+  if (rules.paymentDays !== null && !isWhole(rules.paymentDays, 1, 365)) {
+    return 'Payment must be due within 1 to 365 days.';
+  }
+  return '';
+}
+
+// Helper: "bank transfer, PayPal or cryptocurrency"
+function joinWithOr(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : (items[0] || '');
+}
+
+/**
+ * "Payout Rules" section for the Rewards block, or '' when no rule is set.
+ */
+function buildPayoutRulesText(rules = getPayoutRules()) {
+  const rows = [];
+
+  if (rules.duplicates === 'first') {
+    rows.push(['Duplicates', 'Only the first valid report of an issue is rewarded. Later reports of the same issue are closed as duplicates.']);
+  } else if (rules.duplicates === 'split') {
+    const hours = rules.duplicateWindow === 1 ? '1 hour' : `${rules.duplicateWindow} hours`;
+    rows.push(['Duplicates', `Valid reports of the same issue received within ${hours} of the first one share its reward equally. Later reports are closed as duplicates.`]);
+  }
+  if (rules.chainBonus.enabled) {
+    rows.push(['Exploit chains', `Vulnerabilities chained into one attack are rewarded as a single report at the severity of the full chain, with a ${rules.chainBonus.percent}% bonus.`]);
+  }
+  if (rules.partialFix.enabled) {
+    rows.push(['Partial fixes', `Issues that are already partially fixed or mitigated are rewarded at ${rules.partialFix.percent}% of the regular amount.`]);
+  }
+  if (rules.criticalAssetBonus.enabled) {
+    const assets = rules.criticalAssetBonus.assets.trim();
+    const target = assets ? `our critical assets (${escapeHtml(assets)})` : 'assets we consider critical';
+    rows.push(['Critical assets', `Findings on ${target} earn a ${rules.criticalAssetBonus.percent}% bonus.`]);
+  }
+
+  const methods = joinWithOr(rules.paymentMethods.map(m => PAYMENT_METHODS[m]));
+  if (methods || rules.paymentDays) {
+    let text = 'Rewards are paid';
+    if (methods) text += ` via ${methods}`;
+    if (rules.paymentDays) {
+      const days = rules.paymentDays === 1 ? '1 day' : `${rules.paymentDays} days`;
+      text += ` within ${days} of ${PAYMENT_AFTER[rules.paymentAfter]}`;
+    }
+    rows.push(['Payment', `${text}.`]);
+  }
+
+  if (!rows.length) return '';
+  return ['<br><strong>Payout Rules</strong>', ...rows.map(([label, text]) => `<strong>${label}:</strong> ${text}`)].join('<br>');
+}
+
+// Helper: Current rules as entered in the form (numbers NaN when a field is not a number)
+function readPayoutRulesForm() {
+  const value = id => document.getElementById(id)?.value ?? '';
+  const checked = id => !!document.getElementById(id)?.checked;
+  const number = id => (value(id).trim() === '' ? NaN : Number(value(id)));
+
+  return {
+    duplicates: value('payoutDuplicates'),
+    duplicateWindow: number('payoutDuplicateWindow'),
+    chainBonus: { enabled: checked('payoutChainBonus'), percent: number('payoutChainBonusPercent') },
+    partialFix: { enabled: checked('payoutPartialFix'), percent: number('payoutPartialFixPercent') },
+    criticalAssetBonus: {
+      enabled: checked('payoutCriticalAssetBonus'),
+      percent: number('payoutCriticalAssetPercent'),
+      assets: value('payoutCriticalAssets').trim()
+    },
+    paymentMethods: [...document.querySelectorAll('[data-payment-method]:checked')].map(box => box.dataset.paymentMethod),
+    paymentDays: value('payoutPaymentDays').trim() === '' ? null : Number(value('payoutPaymentDays')),
+    paymentAfter: value('payoutPaymentAfter') || 'triage'
+  };
+}
+
+// Only the inputs of switched-on rules can be edited
+function updatePayoutRulesInputs() {
+  const enable = (id, on) => { const el = document.getElementById(id); if (el) el.disabled = !on; };
+  enable('payoutDuplicateWindow', document.getElementById('payoutDuplicates')?.value === 'split');
+  enable('payoutChainBonusPercent', document.getElementById('payoutChainBonus')?.checked);
+  enable('payoutPartialFixPercent', document.getElementById('payoutPartialFix')?.checked);
+  const critical = document.getElementById('payoutCriticalAssetBonus')?.checked;
+  enable('payoutCriticalAssetPercent', critical);
+  enable('payoutCriticalAssets', critical);
+}
+
+function loadPayoutRules() {
+  const rules = getPayoutRules();
+  const set = (id, prop, value) => { const el = document.getElementById(id); if (el) el[prop] = value; };
+
+  set('payoutDuplicates', 'value', rules.duplicates);
+  set('payoutDuplicateWindow', 'value', String(rules.duplicateWindow));
+  set('payoutChainBonus', 'checked', rules.chainBonus.enabled);
+  set('payoutChainBonusPercent', 'value', String(rules.chainBonus.percent));
+  set('payoutPartialFix', 'checked', rules.partialFix.enabled);
+  set('payoutPartialFixPercent', 'value', String(rules.partialFix.percent));
+  set('payoutCriticalAssetBonus', 'checked', rules.criticalAssetBonus.enabled);
+  set('payoutCriticalAssetPercent', 'value', String(rules.criticalAssetBonus.percent));
+  set('payoutCriticalAssets', 'value', rules.criticalAssetBonus.assets);
+  document.querySelectorAll('[data-payment-method]').forEach(box => {
+    box.checked = rules.paymentMethods.includes(box.dataset.paymentMethod);
+  });
+  set('payoutPaymentDays', 'value', rules.paymentDays === null ? '' : String(rules.paymentDays));
+  set('payoutPaymentAfter', 'value', rules.paymentAfter);
+
+  document.getElementById('payoutRulesError')?.classList.add('hidden');
+  updatePayoutRulesInputs();
+}
+
+// Save valid rules on every change, then call onChange
+function setupPayoutRules({ onChange } = {}) {
+  const section = document.getElementById('payoutRulesSection');
+  if (!section) return;
+
+  section.addEventListener('change', () => {
+    updatePayoutRulesInputs();
+    const rules = readPayoutRulesForm();
+    const errorEl = document.getElementById('payoutRulesError');
+    const error = validatePayoutRules(rules);
+    if (errorEl) {
+      errorEl.textContent = error;
+      errorEl.classList.toggle('hidden', !error);
+    }
+    if (error) return;
+
+    savePayoutRules(rules);
+    console.log('💸 Payout rules saved:', rules);
+    if (typeof onChange === 'function') onChange();
+  });
+}
+
+function clearPayoutRules() {
+  localStorage.removeItem(PAYOUT_RULES_KEY);
+  loadPayoutRules();
+}
+
+export {
+  PAYOUT_RULES_KEY,
+  getPayoutRules,
+  buildPayoutRulesText,
+  setupPayoutRules,
+  loadPayoutRules,
+  clearPayoutRules
+};
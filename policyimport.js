@@ -0,0 +1,330 @@
+// policyimport.js — Import an existing policy (HTML or Markdown) into the scope editor
+// Parses into the scope_text block model ({ type: 'paragraph' | 'list' }) and wraps the
+// In-Scope, Out-of-Scope and Rewards sections in markers so constructScopeText keeps managing them.
+
+import { getScopeTextFromJSON } from './scope.js';
+import { getRewardsRenderKey } from './rewards.js';
+import { escapeHtml } from './html.js';
+
+// Headings that start a managed section (matched after trimming punctuation/emoji)
+const MANAGED_SECTIONS = [
+  { name: 'IN-SCOPE', re: /^(in[\s-]?scope( assets| targets| systems| properties)?|assets in[\s-]scope|targets in[\s-]scope)$/i },
+  { name: 'OUT-OF-SCOPE', re: /^(out[\s-]of[\s-]scope( assets| targets| systems| properties)?|assets out[\s-]of[\s-]scope)$/i },
+  { name: 'REWARDS',  re: /^((program|bug bounty|bounty) )?(rewards?|bount(y|ies)( rewards| amounts| table| ranges)?|rewards? (table|ranges|structure)|payouts?)$/i }
+];
+
+// Only keep links that are safe to render in the editor
+function safeHref(href) {
+  const h = String(href || '').trim();
+  return /^(https?:|mailto:)/i.test(h) ? h : '';
+}
+
+// HTML if it contains any block/inline tag we understand; Markdown otherwise
+function detectPolicyFormat(text) {
+  return /<\/?(p|div|ul|ol|li|h[1-6]|strong|b|em|br|section|article)\b[^>]*>/i.test(text) ? 'html' : 'markdown';
+}
+
+// ─────────────────────────────────────────────────────────────
+// HTML → blocks
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Helper: Re-emit inline content with an allowlist (strong, em, a, br).
+ * Everything else is reduced to its escaped text.
+ */
+function inlineHtml(node) {
+  let out = '';
+  node.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      out += escapeHtml(child.textContent.replace(/\s+/g, ' '));
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = child.tagName;
+    if (tag === 'SCRIPT' || tag === 'STYLE') return;
+    const inner = inlineHtml(child);
+    if (tag === 'BR') out += '<br>';
+    else if (tag === 'STRONG' || tag === 'B') out += inner.trim() ? `<strong>${inner}</strong>` : inner;
+    else if (tag === 'EM' || tag === 'I') out += inner.trim() ? `<em>${inner}</em>` : inner;
+    else if (tag === 'A') {
+      const href = safeHref(child.getAttribute('href'));
+      out += href ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner;
+    } else out += inner;
+  });
+  return out;
+}
+
+// Block-level tags that contain other blocks rather than text
+const CONTAINER_TAGS = new Set(['BODY', 'MAIN', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'DIV', 'BLOCKQUOTE']);
+
+function hasBlockChildren(el) {
+  return Array.from(el.children).some(c => /^(P|DIV|UL|OL|H[1-6]|SECTION|ARTICLE|BLOCKQUOTE|TABLE)$/.test(c.tagName));
+}
+
+function htmlToBlocks(html) {
+  const clean = window.DOMPurify ? window.DOMPurify.sanitize(html) : html;
+  const doc = new DOMParser().parseFromString(clean, 'text/html');
+  const blocks = [];
+
+  const walk = (el) => {
+    Array.from(el.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.trim();
+        if (text) blocks.push({ type: 'paragraph', text: escapeHtml(text) });
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        blocks.push({ type: 'heading', text: node.textContent.trim() });
+      } else if (tag === 'UL' || tag === 'OL') {
+        const items = Array.from(node.children)
+          .filter(li => li.tagName === 'LI')
+          .map(li => inlineHtml(li).trim())
+          .filter(Boolean);
+        if (items.length) blocks.push({ type: 'list', items });
+      } else if (CONTAINER_TAGS.has(tag) && hasBlockChildren(node)) {
+        walk(node);
+      } else {
+        // A paragraph that is nothing but bold text reads as a heading (Trix/Google Docs style)
+        const text = inlineHtml(node).replace(/^(\s|<br>)+|(\s|<br>)+$/g, '');
+        if (!text) return;
+        const boldOnly = text.match(/^<strong>([^<]+)<\/strong>$/);
+        blocks.push(boldOnly ? { type: 'heading', text: boldOnly[1].trim() } : { type: 'paragraph', text });
+      }
+    });
+  };
+
+  walk(doc.body);
+  return blocks;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Markdown → blocks
+// ─────────────────────────────────────────────────────────────
+
+// Escape first, then apply the small inline subset we support.
+// Backslash escapes (e.g. \*.example.com) are set aside so they never start emphasis.
+function markdownInline(text) {
+  const escaped = [];
+  const source = String(text).replace(/\\([\\*_\[\]`#])/g, (m, ch) => `\u0000${escaped.push(ch) - 1}\u0000`);
+
+  return escapeHtml(source)
+    .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (m, label, href) => {
+      const safe = safeHref(href.replace(/&amp;/g, '&'));
+      return safe ? `<a href="${escapeHtml(safe)}">${label}</a>` : label;
+    })
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (m, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\*)|(^|[^_\w])_([^_\s][^_]*)_(?!\w)/g,
+      (m, p1, a, p3, b) => `${p1 ?? p3 ?? ''}<em>${a || b}</em>`)
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\u0000(\d+)\u0000/g, (m, i) => escapeHtml(escaped[Number(i)]));
+}
+
+function markdownToBlocks(md) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      const text = paragraph.join(' ').trim();
+      const boldOnly = text.match(/^\*\*([^*]+)\*\*$/);
+      blocks.push(boldOnly
+        ? { type: 'heading', text: boldOnly[1].trim() }
+        : { type: 'paragraph', text: markdownInline(text) });
+    }
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list && list.items.length) blocks.push(list);
+    list = null;
+  };
+
+  String(md).replace(/\r\n?/g, '\n').split('\n').forEach(raw => {
+    const line = raw.trim();
+
+    const heading = line.match(/^#{1,6}\s+(.*?)\s*#*$/);
+    const item = raw.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+
+    if (!line) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      blocks.push({ type: 'heading', text: heading[1].replace(/\*\*/g, '').trim() });
+    } else if (item) {
+      flushParagraph();
+      if (!list) list = { type: 'list', items: [] };
+      list.items.push(markdownInline(item[1].trim()));
+    } else if (list && /^\s{2,}\S/.test(raw)) {
+      // Continuation line of the previous list item
+      list.items[list.items.length - 1] += ' ' + markdownInline(line);
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  });
+
+  flushParagraph();
+  flushList();
+  return blocks;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Managed sections + block model
+// ─────────────────────────────────────────────────────────────
+
+// Strip emoji/numbering/punctuation so "2. 🎯 In-Scope Assets:" matches
+function normalizeHeading(text) {
+  return String(text)
+    .replace(/^[\s\d.)#-]+/, '')
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert parsed blocks into the scope_text block model.
+ * Headings become bold paragraphs (with the template's <br> spacing) and the
+ * first In-Scope / Out-of-Scope / Rewards sections are wrapped in --START/END-- markers.
+ */
+function toScopeTextBlocks(blocks) {
+  const out = [];
+  const wrapped = new Set();
+  let openSection = null;
+
+  const closeSection = () => {
+    if (openSection) out.push({ type: 'paragraph', text: `--END ${openSection}--` });
+    openSection = null;
+  };
+
+  blocks.forEach((block, idx) => {
+    if (block.type !== 'heading') {
+      out.push(block);
+      return;
+    }
+
+    closeSection();
+
+    const section = MANAGED_SECTIONS.find(s => !wrapped.has(s.name) && s.re.test(normalizeHeading(block.text)));
+    const spacer = idx > 0 ? '<br>' : '';
+    const heading = `<strong>${escapeHtml(block.text)}</strong>`;
+
+    if (section) {
+      wrapped.add(section.name);
+      openSection = section.name;
+      out.push({ type: 'paragraph', text: `${spacer}--START ${section.name}--\n${heading}` });
+    } else {
+      out.push({ type: 'paragraph', text: `${spacer}${heading}` });
+    }
+  });
+
+  closeSection();
+  return out;
+}
+
+/**
+ * Parse a pasted/uploaded policy into scope_text blocks.
+ * format: 'auto' | 'html' | 'markdown'
+ */
+function parsePolicyToBlocks(text, format = 'auto') {
+  const source = String(text || '');
+  const kind = format === 'auto' ? detectPolicyFormat(source) : format;
+  const blocks = kind === 'html' ? htmlToBlocks(source) : markdownToBlocks(source);
+  return toScopeTextBlocks(blocks);
+}
+
+/**
+ * Parse a policy and store it as the editable scope text.
+ * Markers for missing sections are left out on purpose: constructScopeText
+ * inserts the generated In-Scope/Rewards blocks wherever they are missing.
+ */
+function importPolicy(text, format = 'auto') {
+  const blocks = parsePolicyToBlocks(text, format);
+  if (blocks.length === 0) {
+    throw new Error('No text could be found in the imported policy.');
+  }
+
+  const html = getScopeTextFromJSON(blocks);
+
+  // Keep the imported text: mark the current domain/tier as already rendered
+  const domain = (localStorage.getItem('enteredUrl') || '').trim().toLowerCase();
+  const tier = getRewardsRenderKey(window.rewards);
+  localStorage.setItem('scopeHTML', html);
+  if (domain) localStorage.setItem('initialDomain', domain);
+  localStorage.setItem('lastRenderedRewardTier', tier);
+  if (window.storedApiData) window.storedApiData.scopeHTML = html;
+
+  return {
+    html,
+    managed: MANAGED_SECTIONS
+      .map(s => s.name)
+      .filter(name => html.includes(`--START ${name}--`))
+  };
+}
+
+/**
+ * Open the import dialog. onImported(result) runs after a successful import.
+ */
+function showPolicyImportModal(onImported) {
+  const modal    = document.getElementById('policyImportModal');
+  const textArea = document.getElementById('policyImportText');
+  const fileIn   = document.getElementById('policyImportFile');
+  const formatEl = document.getElementById('policyImportFormat');
+  const errorEl  = document.getElementById('policyImportError');
+  if (!modal || !textArea || !fileIn || !formatEl || !errorEl) {
+    console.error('⚠️ Policy import modal elements missing');
+    return;
+  }
+
+  const showError = (msg) => {
+    errorEl.textContent = msg || '';
+    errorEl.classList.toggle('hidden', !msg);
+  };
+  const close = () => modal.classList.add('hidden');
+
+  textArea.value = '';
+  fileIn.value = '';
+  formatEl.value = 'auto';
+  showError('');
+
+  // Load an uploaded file into the text area so it can be reviewed first
+  fileIn.onchange = async () => {
+    const file = fileIn.files && fileIn.files[0];
+    if (!file) return;
+    textArea.value = await file.text();
+    if (/\.(md|markdown|txt)$/i.test(file.name)) formatEl.value = 'markdown';
+    else if (/\.html?$/i.test(file.name)) formatEl.value = 'html';
+  };
+
+  document.getElementById('closePolicyImportModal').onclick = close;
+  document.getElementById('cancelPolicyImport').onclick = close;
+  modal.onclick = (e) => { if (e.target === modal) close(); };
+
+  document.getElementById('confirmPolicyImport').onclick = () => {
+    if (!textArea.value.trim()) {
+      showError('Paste a policy or choose a file to import.');
+      return;
+    }
+    try {
+      const result = importPolicy(textArea.value, formatEl.value);
+      close();
+      if (typeof onImported === 'function') onImported(result);
+    } catch (e) {
+      showError(e.message || 'The policy could not be imported.');
+    }
+  };
+
+  modal.classList.remove('hidden');
+  textArea.focus();
+}
+
+export {
+  parsePolicyToBlocks,
+  importPolicy,
+  showPolicyImportModal
+};
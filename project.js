@@ -0,0 +1,171 @@
+// project.js — Save/open the whole builder state as one versioned JSON document
+// Pure serialization helpers; the buttons are wired in script.js.
+
+import { getProgramDomains } from './domains.js';
+import { SELECTIONS_PREFIX } from './selections.js';
+
+const PROJECT_FORMAT  = 'bug-bounty-scope-builder-project';
+const PROJECT_VERSION = 1;
+
+// Bookkeeping keys restored verbatim so the builder and final steps come back exactly
+// (e.g. initialDomain/lastRenderedRewardTier stop constructScopeText from regenerating).
+const PROJECT_STATE_KEYS = [
+  'enteredUrlValid',
+  'lastRenderedRewardTier',
+  'initialDomain',
+  'currentStepIndex',
+  'securityTxtSettings',
+  'additionalDomains',
+  'wildcardScopes',
+  'lastRenderedAssetsKey',
+  'lastRenderedOutOfScopeKey',
+  'inScopeDriftDismissedKey',
+  'thirdPartyHosts',
+  'manualAssets',
+  'assetEligibility',
+  'retrieveAppVersions',
+  'mobileSearchMode',
+  'mobileAppIds',
+  'webTargets',
+  'customRewardTiers',
+  'rewardCurrency',
+  'currencyRates',
+  'severityAssessment',
+  'bountyBudget',
+  'assetRewardTiers',
+  'payoutRules',
+  'tierQuestionnaire'
+];
+
+// Per-domain keys of the previous program: cached API payloads, no-data/last-error flags
+// and asset selections. Cleared before a project is applied, as the reset does.
+const DOMAIN_KEY_PREFIXES = [
+  'apiData_',
+  'noMobileData_',
+  'noApiData_',
+  'mobileLastError_',
+  'apiLastError_',
+  SELECTIONS_PREFIX
+];
+
+// Domains whose cached API payloads (apiData_<domain>) belong to the project
+function getProjectDomains() {
+  return getProgramDomains();
+}
+
+function readJSON(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the project document from the current localStorage state.
+ */
+function buildProjectFile({ templateVersion = null } = {}) {
+  const apiData = {};
+  const assetSelections = {};
+  getProjectDomains().forEach(domain => {
+    const blob = readJSON(`apiData_${domain}`);
+    if (blob) apiData[domain] = blob;
+    const selections = readJSON(`${SELECTIONS_PREFIX}${domain}`);
+    if (selections) assetSelections[domain] = selections;
+  });
+
+  const state = {};
+  PROJECT_STATE_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) state[key] = value;
+  });
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    templateVersion,
+    savedAt: new Date().toISOString(),
+    domain: localStorage.getItem('enteredUrl') || '',
+    rewardTier: localStorage.getItem('selectedRewardTier') || '',
+    scopeHTML: localStorage.getItem('scopeHTML') || '',
+    apiData,
+    assetSelections,
+    state
+  };
+}
+
+/**
+ * Parse and validate a project document.
+ * Throws an Error with a user-facing message when the file is not usable.
+ */
+function parseProjectFile(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!project || typeof project !== 'object' || project.format !== PROJECT_FORMAT) {
+    throw new Error('This is not a Bug Bounty Scope Builder project file.');
+  }
+  if (!Number.isInteger(project.version) || project.version > PROJECT_VERSION) {
+    throw new Error(`Unsupported project version ${project.version}. Please update the Scope Builder.`);
+  }
+  if (typeof project.domain !== 'string') {
+    throw new Error('The project file is missing its domain.');
+  }
+
+  return {
+    templateVersion: project.templateVersion ?? null,
+    domain: project.domain.trim(),
+    rewardTier: typeof project.rewardTier === 'string' ? project.rewardTier : '',
+    scopeHTML: typeof project.scopeHTML === 'string' ? project.scopeHTML : '',
+    apiData: (project.apiData && typeof project.apiData === 'object') ? project.apiData : {},
+    assetSelections: (project.assetSelections && typeof project.assetSelections === 'object') ? project.assetSelections : {},
+    state: (project.state && typeof project.state === 'object') ? project.state : {}
+  };
+}
+
+/**
+ * Replace the persisted builder state with the project's state.
+ * Callers re-initialise the UI afterwards (see openProject in script.js).
+ */
+function applyProjectFile(project) {
+  ['enteredUrl', 'selectedRewardTier', 'scopeHTML', ...PROJECT_STATE_KEYS]
+    .forEach(key => localStorage.removeItem(key));
+  Object.keys(localStorage)
+    .filter(key => DOMAIN_KEY_PREFIXES.some(prefix => key.startsWith(prefix)))
+    .forEach(key => localStorage.removeItem(key));
+
+  if (project.domain)     localStorage.setItem('enteredUrl', project.domain);
+  if (project.rewardTier) localStorage.setItem('selectedRewardTier', project.rewardTier);
+  if (project.scopeHTML)  localStorage.setItem('scopeHTML', project.scopeHTML);
+
+  PROJECT_STATE_KEYS.forEach(key => {
+    const value = project.state[key];
+    if (typeof value === 'string') localStorage.setItem(key, value);
+  });
+
+  Object.entries(project.apiData).forEach(([domain, blob]) => {
+    if (!domain || !blob || typeof blob !== 'object') return;
+    try {
+      localStorage.setItem(`apiData_${domain}`, JSON.stringify(blob));
+    } catch (e) {
+      console.warn(`Failed to restore cached data for ${domain}:`, e);
+    }
+  });
+
+  Object.entries(project.assetSelections).forEach(([domain, selections]) => {
+    if (!domain || !selections || typeof selections !== 'object') return;
+    localStorage.setItem(`${SELECTIONS_PREFIX}${domain}`, JSON.stringify(selections));
+  });
+}
+
+export {
+  PROJECT_VERSION,
+  buildProjectFile,
+  parseProjectFile,
+  applyProjectFile
+};
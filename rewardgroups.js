@@ -0,0 +1,194 @@
+// rewardgroups.js — Separate reward tables per asset category or individual asset
+// Stored in localStorage as assetRewardTiers: { "<group key>": "<tier key>" }
+//   "category:web" | "category:mobile" | "category:api" | "category:other"   every asset of the category
+//   "asset:<asset key>"                                                     one asset (keys as in collectScopeAssets,
+//                                                                           which curation edits do not change)
+// A group without an entry is paid from the program tier (selectedRewardTier); an asset's own
+// entry wins over its category's. Once any group has its own tier, rewards.js renders the
+// Rewards block as a matrix (asset group × severity).
+
+import { escapeHtml } from './html.js';
+
+const ASSET_REWARD_TIERS_KEY = 'assetRewardTiers';
+const CUSTOM_AMOUNTS_OPTION = '__custom__';
+
+const REWARD_CATEGORIES = [
+  { key: 'web', label: 'Websites', icon: '🌐', types: ['website', 'wildcard'] },
+  { key: 'mobile', label: 'Mobile apps', icon: '📱', types: ['mobile'] },
+  { key: 'api', label: 'APIs', icon: '🧩', types: ['api', 'apiSubdomain'] },
+  { key: 'other', label: 'Other assets', icon: '🔧', types: ['manual'] }
+];
+
+function getAssetRewardTiers() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(ASSET_REWARD_TIERS_KEY) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Give a group its own tier ('' or null: back to the program tier / the category's tier).
+ */
+function setGroupRewardTier(groupKey, tierKey) {
+  const all = getAssetRewardTiers();
+  if (tierKey) all[groupKey] = tierKey;
+  else delete all[groupKey];
+
+  if (Object.keys(all).length) localStorage.setItem(ASSET_REWARD_TIERS_KEY, JSON.stringify(all));
+  else localStorage.removeItem(ASSET_REWARD_TIERS_KEY);
+  try { window.dispatchEvent(new CustomEvent('scope-assets-changed')); } catch {}
+}
+
+function getCategoryGroupKey(categoryKey) {
+  return `category:${categoryKey}`;
+}
+
+function getAssetGroupKey(asset) {
+  return `asset:${asset.key}`;
+}
+
+// Category of a scope asset (see REWARD_CATEGORIES)
+function getRewardCategory(asset) {
+  return REWARD_CATEGORIES.find(c => c.types.includes(asset.type)) || REWARD_CATEGORIES[REWARD_CATEGORIES.length - 1];
+}
+
+/**
+ * Helper: A group's own tier key, or null when it is paid from the program tier
+ * (no entry, or the tier no longer exists, e.g. a deleted custom tier).
+ */
+function getGroupTierKey(groupKey, tiers, stored = getAssetRewardTiers()) {
+  const tierKey = stored[groupKey];
+  return tierKey && tiers?.[tierKey] ? tierKey : null;
+}
+
+/**
+ * Rows of the reward matrix for the given in-scope assets:
+ * [{ key, label, tierKey, assets }] — one per category that has assets, then one per asset
+ * with its own tier. tierKey is null for rows paid from the program tier.
+ * Disclosure-only assets are left out (they are never paid).
+ * Returns [] when no group has its own tier, i.e. the single program table applies.
+ */
+function getRewardGroups(assets, tiers) {
+  const stored = getAssetRewardTiers();
+  const paid = (assets || []).filter(a => a.bountyEligible !== false);
+
+  const ownRows = [];
+  const byCategory = new Map();
+  paid.forEach(asset => {
+    const groupKey = getAssetGroupKey(asset);
+    const tierKey = getGroupTierKey(groupKey, tiers, stored);
+    if (tierKey) {
+      ownRows.push({ key: groupKey, label: asset.name, tierKey, assets: [asset] });
+      return;
+    }
+    const category = getRewardCategory(asset);
+    if (!byCategory.has(category.key)) byCategory.set(category.key, []);
+    byCategory.get(category.key).push(asset);
+  });
+
+  const categoryRows = REWARD_CATEGORIES
+    .filter(c => byCategory.has(c.key))
+    .map(c => ({
+      key: getCategoryGroupKey(c.key),
+      label: c.label,
+      tierKey: getGroupTierKey(getCategoryGroupKey(c.key), tiers, stored),
+      assets: byCategory.get(c.key)
+    }));
+
+  const rows = [...categoryRows, ...ownRows];
+  return rows.some(row => row.tierKey) ? rows : [];
+}
+
+/**
+ * Helper: <option>s of a group tier select. The first one ('') follows `inheritLabel`.
+ */
+function buildTierOptions(tiers, inheritLabel) {
+  const options = [`<option value="">${escapeHtml(inheritLabel)}</option>`];
+  Object.entries(tiers || {}).forEach(([key, tier]) => {
+    options.push(`<option value="${escapeHtml(key)}">${escapeHtml(tier.title || key)}</option>`);
+  });
+  options.push(`<option value="${CUSTOM_AMOUNTS_OPTION}">➕ Custom amounts…</option>`);
+  return options.join('');
+}
+
+/**
+ * Render the per-category tier selects (#assetRewardGroups).
+ */
+function renderAssetRewardGroups(rewards) {
+  const container = document.getElementById('assetRewardGroups');
+  if (!container) return;
+  const tiers = rewards?.tiers || {};
+  const stored = getAssetRewardTiers();
+
+  container.innerHTML = REWARD_CATEGORIES.map(category => `
+    <label class="flex items-center justify-between gap-2 text-gray-700">
+      <span>${category.icon} ${category.label}</span>
+      <select data-reward-group="${getCategoryGroupKey(category.key)}" class="px-2 py-1 border rounded w-56">
+        ${buildTierOptions(tiers, 'Program tier')}
+      </select>
+    </label>
+  `).join('');
+
+  container.querySelectorAll('[data-reward-group]').forEach(select => {
+    select.value = getGroupTierKey(select.dataset.rewardGroup, tiers, stored) || '';
+  });
+}
+
+/**
+ * Wire the category selects. "Custom amounts…" opens the custom tier editor through
+ * `editCustomTier(onSaved)` (script.js passes showCustomTierModal) and assigns the new tier.
+ */
+function setupAssetRewardGroups(rewards, { editCustomTier } = {}) {
+  const container = document.getElementById('assetRewardGroups');
+  if (!container) return;
+
+  container.addEventListener('change', (e) => {
+    const select = e.target.closest('[data-reward-group]');
+    if (!select) return;
+    const groupKey = select.dataset.rewardGroup;
+
+    if (select.value === CUSTOM_AMOUNTS_OPTION) {
+      // Until the editor is saved, the group keeps its previous tier
+      select.value = getGroupTierKey(groupKey, rewards.tiers) || '';
+      if (typeof editCustomTier === 'function') {
+        editCustomTier(tierKey => assignRewardTier(rewards, groupKey, tierKey));
+      }
+      return;
+    }
+    assignRewardTier(rewards, groupKey, select.value);
+  });
+
+  // Custom tiers come and go with the tier cards
+  window.addEventListener('reward-tier-changed', () => renderAssetRewardGroups(rewards));
+}
+
+function assignRewardTier(rewards, groupKey, tierKey) {
+  setGroupRewardTier(groupKey, tierKey);
+  const title = tierKey ? rewards?.tiers?.[tierKey]?.title || tierKey : 'program tier';
+  console.log(`🗂️ ${groupKey} → ${title}`);
+  renderAssetRewardGroups(rewards);
+}
+
+function clearAssetRewardGroups(rewards) {
+  localStorage.removeItem(ASSET_REWARD_TIERS_KEY);
+  renderAssetRewardGroups(rewards);
+}
+
+export {
+  ASSET_REWARD_TIERS_KEY,
+  CUSTOM_AMOUNTS_OPTION,
+  REWARD_CATEGORIES,
+  getAssetRewardTiers,
+  setGroupRewardTier,
+  getCategoryGroupKey,
+  getAssetGroupKey,
+  getRewardCategory,
+  getGroupTierKey,
+  getRewardGroups,
+  buildTierOptions,
+  renderAssetRewardGroups,
+  setupAssetRewardGroups,
+  clearAssetRewardGroups
+};
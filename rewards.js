@@ -1,5 +1,134 @@
+import {
+  BASE_CURRENCY,
+  CURRENCIES,
+  getRewardCurrency,
+  getCurrencySymbol,
+  formatRewardText,
+  convertRewardRange
+} from './currency.js';
+import { buildSeverityAssessmentText } from './severity.js';
+import { escapeHtml } from './html.js';
+import { buildPayoutRulesText } from './payoutrules.js';
+import { getTierRecommendation, renderTierRecommendation } from './tierrecommend.js';
+import { collectScopeAssets } from './assets.js';
+import {
+  getAssetRewardTiers,
+  getRewardGroups,
+  getAssetGroupKey,
+  getCategoryGroupKey,
+  getRewardCategory,
+  getGroupTierKey
+} from './rewardgroups.js';
+
 let loadedRewardTier = null;  // Track the originally loaded tier
 
+// Custom tiers (customRewardTiers in localStorage): { "custom-<id>": { title, description, levels, currency } }
+// They are merged into rewards.tiers, so everything that reads tiers treats them like the shipped ones.
+// Amounts are kept in the tier's currency (USD for rewards.json) and converted for display (currency.js).
+const CUSTOM_TIERS_KEY = 'customRewardTiers';
+const CUSTOM_TIER_PREFIX = 'custom-';
+const REWARD_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+function getCustomRewardTiers() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CUSTOM_TIERS_KEY) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveCustomRewardTiers(tiers) {
+  if (Object.keys(tiers).length) localStorage.setItem(CUSTOM_TIERS_KEY, JSON.stringify(tiers));
+  else localStorage.removeItem(CUSTOM_TIERS_KEY);
+}
+
+/**
+ * Helper: Replace the custom tiers in rewards.tiers with the stored ones (listed after the shipped tiers).
+ */
+function applyCustomRewardTiers(rewards) {
+  if (!rewards?.tiers) return;
+  Object.keys(rewards.tiers)
+    .filter(key => key.startsWith(CUSTOM_TIER_PREFIX))
+    .forEach(key => delete rewards.tiers[key]);
+  Object.entries(getCustomRewardTiers()).forEach(([key, tier]) => {
+    if (key.startsWith(CUSTOM_TIER_PREFIX)) rewards.tiers[key] = { ...tier, custom: true };
+  });
+}
+
+// Tell the panels that read the selected tier (budget simulator, CVSS calculator) to refresh
+function notifyRewardTierChanged() {
+  try { window.dispatchEvent(new CustomEvent('reward-tier-changed')); } catch {}
+}
+
+// Currency of a tier's amounts
+function getTierCurrency(tier) {
+  return tier?.currency || BASE_CURRENCY;
+}
+
+/**
+ * Force the Rewards block to be rebuilt on the next render, even though the selected tier
+ * key did not change (its amounts or the currency did).
+ */
+function invalidateRenderedRewards() {
+  localStorage.removeItem('lastRenderedRewardTier');
+}
+
+// Currency symbols accepted before a custom amount, and the currency each one names.
+// A plain "$" names none: it is how amounts are written in every tier.
+const AMOUNT_SYMBOLS = {
+  '$': null,
+  'US$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  'A$': 'AUD',
+  'AU$': 'AUD',
+  'C$': 'CAD',
+  'CA$': 'CAD',
+  'NZ$': 'NZD'
+};
+
+/**
+ * Helper: Normalise one custom reward level into the rewards.json style.
+ *   "500" / "$500" / "€500" (EUR tier)  → "$500"
+ *   "500-2000" / "$500 to $2,000"       → "$500–$2,000"
+ *   "15000+"                            → "$15,000+"
+ * "$" only marks the numbers; they are in the tier's currency (`currency`). A symbol or
+ * code that names a currency ("€", "A$", "GBP") must be the tier's own; any other currency
+ * is an error rather than being relabelled. Text without digits ("Thanks only") is kept as it is;
+ * '' means no reward at that severity.
+ * Returns { value, error }.
+ */
+function normalizeRewardLevel(text, currency = BASE_CURRENCY) {
+  const s = String(text || '').trim();
+  if (!s || !/\d/.test(s)) return { value: s, error: '' };
+
+  const codes = [...new Set([...Object.keys(CURRENCIES), ...Object.values(AMOUNT_SYMBOLS).filter(Boolean)])];
+  const symbols = Object.keys(AMOUNT_SYMBOLS)
+    .sort((a, b) => b.length - a.length)
+    .map(symbol => symbol.replace(/\$/g, '\\$'));
+  const amount = String.raw`(?:(${codes.join('|')})\s?|(${symbols.join('|')}))?\s*(\d[\d,]*(?:\.\d{1,2})?)`;
+  const m = new RegExp(String.raw`^${amount}\s*(?:(\+)|(?:[-–—]|to)\s*${amount})?$`).exec(s);
+  const toNumber = (v) => Number(String(v).replace(/,/g, ''));
+  if (!m) {
+    return { value: s, error: 'Use an amount ($500), a range ($500–$2,000) or an open range ($15,000+).' };
+  }
+
+  const named = [m[1] || AMOUNT_SYMBOLS[m[2]], m[5] || AMOUNT_SYMBOLS[m[6]]].find(code => code && code !== currency);
+  if (named) {
+    return { value: s, error: `This tier is in ${currency}, so its amounts can't be in ${named}.` };
+  }
+
+  const min = toNumber(m[3]);
+  const max = m[7] ? toNumber(m[7]) : null;
+  if (max !== null && max < min) {
+    return { value: s, error: 'The upper end of a range must not be below the lower end.' };
+  }
+  const fmt = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: n % 1 ? 2 : 0 })}`;
+  if (max !== null && max !== min) return { value: `${fmt(min)}–${fmt(max)}`, error: '' };
+  return { value: `${fmt(min)}${m[4] ? '+' : ''}`, error: '' };
+}
+
 /**
  * Render reward tiers based on the loaded data
  */
@@ -11,9 +140,12 @@ function renderRewardTiers(rewards) {
       return;
     }
 
+    applyCustomRewardTiers(rewards);
     const tiers = rewards.tiers;
     const savedTier = localStorage.getItem('selectedRewardTier'); // ✅ Restore previous selection
     loadedRewardTier = savedTier;  // ✅ Store for comparison
+    const recommendation = getTierRecommendation(tiers);  // From the discovered surface + questionnaire
+    renderTierRecommendation(recommendation, tiers);
     
     const tierHTML = Object.entries(tiers).map(([key, tier]) => {
       const levels = tier.levels || {};
@@ -22,24 +154,30 @@ function renderRewardTiers(rewards) {
         .filter(([_, val]) => val && val.trim() !== "")
         .map(([severity, amount]) => {
           const label = severity.charAt(0).toUpperCase() + severity.slice(1);
-          return `<li>${label}: ${amount}</li>`;
+          return `<li>${label}: ${escapeHtml(formatRewardText(amount, getTierCurrency(tier)))}</li>`;
         }).join('');
   
       // Check if this tier was previously selected
       const isSelected = savedTier === key;
+      const isRecommended = recommendation?.key === key;
   
       return `
-        <label class="reward-tier-card block border rounded-md p-4 mb-4 cursor-pointer transition-all duration-200 ${isSelected ? 'border-blue-500 bg-blue-50' : ''}" data-tier="${key}">
+        <label class="reward-tier-card block border rounded-md p-4 mb-4 cursor-pointer transition-all duration-200 ${isSelected ? 'border-blue-500 bg-blue-50' : ''} ${isRecommended ? 'ring-2 ring-green-400' : ''}" data-tier="${key}">
           <div class="flex items-start gap-3">
             <input type="radio" name="rewardTier" value="${key}" class="mt-1" ${isSelected ? 'checked' : ''}>
             <div class="w-full">
-              <strong class="text-gray-800 text-base">${tier.title}</strong>
+              <div class="flex items-center gap-2">
+                <strong class="text-gray-800 text-base">${tier.custom ? escapeHtml(tier.title) : tier.title}</strong>
+                ${isRecommended ? '<span class="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded">⭐ Recommended</span>' : ''}
+                ${tier.custom ? `<span class="text-xs bg-gray-200 text-gray-700 px-2 py-0.5 rounded">Custom</span>
+                <button type="button" data-edit-tier="${key}" class="ml-auto text-sm text-blue-600 hover:underline">✏️ Edit</button>` : ''}
+              </div>
               <div class="mt-2 flex flex-col md:flex-row gap-4">
                 <ul class="list-disc list-inside text-sm text-gray-700 md:basis-[35%] md:shrink-0">
                   ${levelList}
                 </ul>
                 <p class="text-sm text-gray-600 md:basis-[65%]">
-                  <strong>What to Expect:</strong> ${tier.description}
+                  <strong>What to Expect:</strong> ${tier.custom ? escapeHtml(tier.description) : tier.description}
                 </p>
               </div>
             </div>
@@ -48,12 +186,135 @@ function renderRewardTiers(rewards) {
       `;
     }).join('');
   
-    rewardTierCards.innerHTML = tierHTML;
+    // "Custom" card: opens the editor for a new tier
+    const customCardHTML = `
+      <button type="button" id="addCustomTierButton"
+        class="block w-full border-2 border-dashed rounded-md p-4 mb-4 text-left text-gray-700 hover:border-blue-400 hover:bg-blue-50 transition-all duration-200">
+        <strong class="text-base">➕ Custom</strong>
+        <span class="block text-sm text-gray-600 mt-1">Set your own title, description and amount or range per severity.</span>
+      </button>`;
+
+    rewardTierCards.innerHTML = tierHTML + customCardHTML;
   
     // Add event listeners to reward tier cards
     setupRewardTierListeners();
+
+    document.getElementById('addCustomTierButton')?.addEventListener('click', () => showCustomTierModal(rewards));
+    rewardTierCards.querySelectorAll('[data-edit-tier]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        // Editing is not selecting: keep the click away from the card
+        e.preventDefault();
+        e.stopPropagation();
+        showCustomTierModal(rewards, btn.dataset.editTier);
+      });
+    });
+
+    // Amounts or the selection may have changed
+    notifyRewardTierChanged();
   }
 
+/**
+ * Open the custom tier editor (new tier when tierKey is omitted).
+ * Saving selects the tier, unless `onSaved(key)` is given (e.g. custom amounts for one asset
+ * group), which then receives the saved tier instead. When a tier in use is edited, the
+ * Rewards block is regenerated.
+ */
+function showCustomTierModal(rewards, tierKey = null, { onSaved } = {}) {
+  const modal = document.getElementById('customTierModal');
+  const titleInput = document.getElementById('customTierTitle');
+  const descriptionInput = document.getElementById('customTierDescription');
+  const errorEl = document.getElementById('customTierError');
+  const deleteBtn = document.getElementById('deleteCustomTier');
+  if (!modal || !titleInput || !descriptionInput || !errorEl || !deleteBtn) {
+    console.error('⚠️ Custom tier modal elements missing');
+    return;
+  }
+
+  const existing = tierKey ? getCustomRewardTiers()[tierKey] : null;
+  const levelInputs = Object.fromEntries(REWARD_SEVERITIES.map(severity =>
+    [severity, modal.querySelector(`[data-custom-level="${severity}"]`)]
+  ));
+
+  // A tier keeps the currency it was created in; its amounts are shown in that currency
+  const currency = existing ? getTierCurrency(existing) : getRewardCurrency();
+  document.getElementById('customTierModalTitle').textContent = existing ? '✏️ Edit custom tier' : '➕ Custom reward tier';
+  const currencyEl = document.getElementById('customTierCurrency');
+  if (currencyEl) currencyEl.textContent = currency;
+  titleInput.value = existing?.title || '';
+  descriptionInput.value = existing?.description || '';
+  REWARD_SEVERITIES.forEach(severity => {
+    const level = existing?.levels?.[severity] || '';
+    if (levelInputs[severity]) levelInputs[severity].value = formatRewardText(level, currency, currency);
+  });
+  deleteBtn.classList.toggle('hidden', !existing);
+
+  const showError = (text) => {
+    errorEl.textContent = text;
+    errorEl.classList.toggle('hidden', !text);
+  };
+  showError('');
+
+  const close = () => modal.classList.add('hidden');
+  const afterChange = (selectKey) => {
+    const selected = localStorage.getItem('selectedRewardTier');
+    if (selectKey && typeof onSaved === 'function') {
+      if (tierKey) invalidateRenderedRewards();
+      renderRewardTiers(rewards);
+      close();
+      onSaved(selectKey);
+      return;
+    }
+    if (selectKey) {
+      if (selected === selectKey) invalidateRenderedRewards();
+      localStorage.setItem('selectedRewardTier', selectKey);
+    } else if (selected === tierKey) {
+      localStorage.removeItem('selectedRewardTier');
+    }
+    renderRewardTiers(rewards);
+    close();
+  };
+
+  document.getElementById('saveCustomTier').onclick = () => {
+    const title = titleInput.value.trim();
+    if (!title) return showError('Please enter a title for the tier.');
+
+    const levels = {};
+    for (const severity of REWARD_SEVERITIES) {
+      const { value, error } = normalizeRewardLevel(levelInputs[severity]?.value, currency);
+      if (error) return showError(`${severity.charAt(0).toUpperCase() + severity.slice(1)}: ${error}`);
+      levels[severity] = value;
+    }
+
+    const key = tierKey || `${CUSTOM_TIER_PREFIX}${Date.now().toString(36)}`;
+    saveCustomRewardTiers({
+      ...getCustomRewardTiers(),
+      [key]: { title, description: descriptionInput.value.trim(), levels, currency }
+    });
+    console.log(`💾 Custom reward tier saved: ${title}`);
+    afterChange(key);
+  };
+
+  deleteBtn.onclick = () => {
+    const tiers = getCustomRewardTiers();
+    delete tiers[tierKey];
+    saveCustomRewardTiers(tiers);
+    console.log(`🗑️ Custom reward tier deleted: ${existing?.title || tierKey}`);
+    afterChange(null);
+  };
+
+  document.getElementById('closeCustomTierModal').onclick = close;
+  document.getElementById('cancelCustomTier').onclick = close;
+  modal.onclick = (e) => { if (e.target === modal) close(); };
+
+  modal.classList.remove('hidden');
+  titleInput.focus();
+}
+
+function clearCustomRewardTiers(rewards) {
+  localStorage.removeItem(CUSTOM_TIERS_KEY);
+  applyCustomRewardTiers(rewards);
+}
+
 /**
  * Set up event listeners for reward tier selection
  */
@@ -76,12 +337,13 @@ function setupRewardTierListeners() {
         // Save selection to localStorage
         const tierKey = card.getAttribute('data-tier');
         localStorage.setItem('selectedRewardTier', tierKey);
+        notifyRewardTierChanged();
       });
     });
   }  
 
   function buildRewardsTextFromTier(tierKey, rewards, options = {}) {
-    const { stripAmounts = false } = options;
+    const { stripAmounts = false, groups = [] } = options;
   
     const tiers = rewards?.tiers || {};
     const tier = tiers[tierKey];
@@ -91,9 +353,14 @@ function setupRewardTierListeners() {
     if (!tier) return '';
   
     let lines = [];
+    const amounts = {};  // Display amount per severity, for the Severity Assessment section
   
     lines.push('--START REWARDS--<br><strong>Rewards</strong>');
     lines.push('We offer bounties based on the severity and impact of the vulnerability:');
+    const currency = getRewardCurrency();
+    if (currency !== BASE_CURRENCY) lines.push(`All amounts are in ${currency}.`);
+    // Separate tables per asset group: one matrix, then the severities without amounts
+    if (groups.length) lines.push(buildRewardMatrix(groups, tier, rewards, stripAmounts));
   
     Object.entries(tier.levels || {}).forEach(([severity, amount]) => {
       const label = severity.charAt(0).toUpperCase() + severity.slice(1);
@@ -101,42 +368,172 @@ function setupRewardTierListeners() {
       const exArr = Array.isArray(exs[severity]) ? exs[severity] : (exs[severity] ? [exs[severity]] : []);
       const exTxt = exArr.join(', ').trim();
   
-      let displayAmount = amount;
-      if (stripAmounts) {
-        displayAmount = '$[Lower Range]–$[Upper Range]';
+      let displayAmount = escapeHtml(formatRewardText(amount, getTierCurrency(tier)));
+      if (groups.length) {
+        displayAmount = '';
+      } else if (stripAmounts) {
+        const symbol = getCurrencySymbol();
+        displayAmount = `${symbol}[Lower Range]–${symbol}[Upper Range]`;
       }
+      amounts[severity] = displayAmount;
   
       let line = `<br><strong>${label}`;
       if (displayAmount) line += `: ${displayAmount}`;
-      if (def) line += ` – ${def}`;
-      line += '</strong>';
+      if (groups.length) {
+        // Amounts are in the matrix: bold only the severity (a whole bold line reads as a heading)
+        line += '</strong>';
+        if (def) line += ` – ${def}`;
+      } else {
+        if (def) line += ` – ${def}`;
+        line += '</strong>';
+      }
       lines.push(line);
   
       if (exTxt) lines.push(exTxt);
     });
   
     lines.push('<br><em>Note: Reports without clear security implications or that require unrealistic attack scenarios will not be rewarded.</em>');
+    const severityText = buildSeverityAssessmentText(amounts);
+    if (severityText) lines.push(severityText);
+    const payoutText = buildPayoutRulesText();
+    if (payoutText) lines.push(payoutText);
     lines.push('--END REWARDS--');
   
     return lines.join('<br>').replace(/(<br>\s*){3,}/g, '<br><br>');
   }  
 
 /**
- * Build the full Rewards text for the Scope step (Trix-friendly, no extra blanks)
+ * Helper: Reward matrix (asset group × severity) as an aligned <pre> block.
+ * Rows without their own tier use the program tier, or placeholders when none is selected.
  */
-function getRewardsTextForScope(rewards) {
+function buildRewardMatrix(groups, programTier, rewards, stripAmounts) {
+  const symbol = getCurrencySymbol();
+  const header = ['Asset group', ...REWARD_SEVERITIES.map(s => s.charAt(0).toUpperCase() + s.slice(1))];
+  const rows = groups.map(group => {
+    const tier = group.tierKey ? rewards.tiers[group.tierKey] : programTier;
+    return [group.label, ...REWARD_SEVERITIES.map(severity => {
+      if (!group.tierKey && stripAmounts) return `${symbol}[Amount]`;
+      const text = tier?.levels?.[severity] || '';
+      return parseRewardAmount(text) ? formatRewardText(text, getTierCurrency(tier)) : '—';
+    })];
+  });
+
+  const widths = header.map((_, i) => Math.max(...[header, ...rows].map(cells => cells[i].length)));
+  const formatRow = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  const table = [
+    formatRow(header),
+    widths.map(w => '-'.repeat(w)).join('  '),
+    ...rows.map(formatRow)
+  ].join('\n');
+
+  return `Rewards per asset group (— means no bounty):<br><pre>${escapeHtml(table)}</pre>`;
+}
+
+/**
+ * Helper: Rows of the reward matrix for the current in-scope assets ([] for a single table).
+ */
+function getScopeRewardGroups(rewards) {
+  if (!Object.keys(getAssetRewardTiers()).length) return [];
+  return getRewardGroups(collectScopeAssets(window.storedApiData || {}, window.config), rewards?.tiers);
+}
+
+/**
+ * Key of what the Rewards block shows: the selected tier, plus every asset group's tier once
+ * groups have their own. constructScopeText regenerates the block when it changes.
+ */
+function getRewardsRenderKey(rewards) {
+  const selectedTier = localStorage.getItem('selectedRewardTier') || '';
+  const groups = getScopeRewardGroups(rewards);
+  if (!groups.length) return selectedTier;
+  return `${selectedTier}|${groups.map(g => `${g.key}=${g.tierKey || ''}`).join(',')}`;
+}
+
+/**
+ * Resolve the tier used for the scope text.
+ * Returns { key, tier, isSelected } — falls back to the first tier (isSelected = false)
+ * when nothing valid is selected, matching getRewardsTextForScope.
+ */
+function getSelectedRewardTier(rewards) {
   const savedTierKey = localStorage.getItem('selectedRewardTier');
   const tiers = rewards?.tiers || {};
+
+  if (savedTierKey && tiers[savedTierKey]) {
+    return { key: savedTierKey, tier: tiers[savedTierKey], isSelected: true };
+  }
+
   const fallbackTierKey = Object.keys(tiers)[0];  // Use first tier as fallback
+  return { key: fallbackTierKey, tier: tiers[fallbackTierKey] || null, isSelected: false };
+}
+
+/**
+ * Resolve the tier that pays for one asset: its own, its category's, or the selected tier
+ * (same shape as getSelectedRewardTier; isSelected is true for a group tier).
+ */
+function getRewardTierForAsset(rewards, asset) {
+  const tiers = rewards?.tiers || {};
+  const key = getGroupTierKey(getAssetGroupKey(asset), tiers) ||
+    getGroupTierKey(getCategoryGroupKey(getRewardCategory(asset).key), tiers);
+  return key ? { key, tier: tiers[key], isSelected: true } : getSelectedRewardTier(rewards);
+}
+
+/**
+ * Parse a reward amount string from rewards.json into numbers.
+ *   "$500–$2,000"       → { min: 500,   max: 2000 }
+ *   "$15,000+"          → { min: 15000, max: null }
+ *   "Thanks or $10–$50" → { min: 10,    max: 50 }
+ *   "None – Thanks only" / ""  → null
+ */
+function parseRewardAmount(text) {
+  const numbers = (String(text || '').match(/\$\s?[\d,]+(?:\.\d+)?/g) || [])
+    .map(n => Number(n.replace(/[$,\s]/g, '')))
+    .filter(n => Number.isFinite(n));
+
+  if (numbers.length === 0) return null;
+
+  const openEnded = /\+\s*$/.test(String(text).trim());
+  const min = numbers[0];
+  const max = numbers.length > 1 ? numbers[numbers.length - 1] : (openEnded ? null : min);
+  return { min, max };
+}
+
+/**
+ * Helper: A tier's amount at one severity as numbers in the selected currency (null when it pays nothing).
+ */
+function getRewardRange(tier, severity) {
+  return convertRewardRange(parseRewardAmount(tier?.levels?.[severity]), getTierCurrency(tier));
+}
+
+/**
+ * Build the full Rewards text for the Scope step (Trix-friendly, no extra blanks)
+ */
+function getRewardsTextForScope(rewards) {
+  const { key, isSelected } = getSelectedRewardTier(rewards);
+  const groups = getScopeRewardGroups(rewards);
 
   // If no selection, use fallback with amounts stripped
-  if (!savedTierKey || !tiers[savedTierKey]) {
-    return buildRewardsTextFromTier(fallbackTierKey, rewards, { stripAmounts: true });
+  if (!isSelected) {
+    return buildRewardsTextFromTier(key, rewards, { stripAmounts: true, groups });
   }
 
   // Otherwise, use selected tier with amounts
-  return buildRewardsTextFromTier(savedTierKey, rewards);
+  return buildRewardsTextFromTier(key, rewards, { groups });
 }
 
-export { renderRewardTiers, setupRewardTierListeners, getRewardsTextForScope };
+export {
+  CUSTOM_TIERS_KEY,
+  renderRewardTiers,
+  applyCustomRewardTiers,
+  normalizeRewardLevel,
+  clearCustomRewardTiers,
+  setupRewardTierListeners,
+  getRewardsTextForScope,
+  getSelectedRewardTier,
+  getRewardTierForAsset,
+  getRewardsRenderKey,
+  showCustomTierModal,
+  getTierCurrency,
+  getRewardRange,
+  invalidateRenderedRewards,
+  parseRewardAmount
+};
 
@@ -1,4 +1,10 @@
-import { getRewardsTextForScope } from './rewards.js';
+import { getRewardsTextForScope, getRewardsRenderKey } from './rewards.js';
+import { collectScopeAssets, collectOutOfScopeAssets, getStoreIdLabel } from './assets.js';
+import { getExporters, buildExport, buildExportFileName, downloadTextFile, copyTextToClipboard } from './export.js';
+import { showSecurityTxtModal } from './securitytxt.js';
+import { SEVERITY_LABELS } from './selections.js';
+import { getRewardAtSeverity } from './eligibility.js';
+import { escapeHtml } from './html.js';
 
 function getScopeTextFromJSON(scopeText) {
 
@@ -25,137 +31,167 @@ function getScopeTextFromJSON(scopeText) {
 }
 
 /**
- * Helper: Format the website URL in the same format as manual mode
+ * Helper: Bounty eligibility lines for one asset (nothing for the default: eligible at every severity).
+ * A severity cap also shows what the asset's tier pays at that level.
  */
-function formatWebsiteDataForSummary(domain) {
-  if (!domain) return '';
-  const lines = ['🌐 WEBSITE'];
-  lines.push(`<strong>URL:</strong> ${domain}`);
-  return `<div class="mb-2">${lines.join('<br>')}</div>`;
+function formatEligibilityLines(asset) {
+  if (asset.bountyEligible === false) return ['<strong>Bounty:</strong> Not eligible (disclosure only)'];
+  if (!asset.maxSeverity || asset.maxSeverity === 'critical') return [];
+
+  const cap = SEVERITY_LABELS[asset.maxSeverity] || asset.maxSeverity;
+  const reward = getRewardAtSeverity(window.rewards, asset.maxSeverity, asset);
+  return [`<strong>Max severity:</strong> ${cap}${reward ? ` (rewards up to ${reward})` : ''}`];
+}
+
+// Spacer only BETWEEN entries (none after the last)
+function joinScopeEntries(entries) {
+  return entries
+    .map((entry, idx) => (idx > 0 ? '<div class="mb-2">&nbsp;</div>' + entry : entry))
+    .join('');
 }
 
 /**
- * Helper: Collect all mobile apps to render based on config
+ * Helper: Format the website URLs in the same format as manual mode
  */
-function getMobileAppsToRender(mobileDetails, config) {
-  if (!mobileDetails) return [];
-
-  const apps = [];
-  const suggestedOnly = !!(config && config.suggestedAppsOnly);
-
-  // Add main suggested apps
-  if (Array.isArray(mobileDetails.suggested_apps) && mobileDetails.suggested_apps.length > 0) {
-    const suggestedName = mobileDetails.suggested_name || mobileDetails.suggested_apps[0].name;
-    
-    // Add iOS and Android suggested apps with the suggested name
-    mobileDetails.suggested_apps.forEach(app => {
-      apps.push({ ...app, name: suggestedName });
-    });
-  }
+function formatWebsiteDataForSummary(websites) {
+  if (!Array.isArray(websites) || websites.length === 0) return '';
+
+  return joinScopeEntries(websites.map(site => {
+    const lines = ['🌐 WEBSITE'];
+    // IDNs: the Unicode name, then the punycode form researchers will see in tools
+    lines.push(`<strong>URL:</strong> ${site.name}${site.name !== site.url ? ` (${site.url})` : ''}`);
+    if (site.path) lines.push(`<strong>Scope:</strong> Only URLs under ${site.path}`);
+    lines.push(...formatEligibilityLines(site));
+    return `<div class="mb-2">${lines.join('<br>')}</div>`;
+  }));
+}
 
-  // Add alternatives if config allows
-  if (!suggestedOnly && mobileDetails.alternatives) {
-    if (Array.isArray(mobileDetails.alternatives.iOS)) {
-      apps.push(...mobileDetails.alternatives.iOS);
-    }
-    if (Array.isArray(mobileDetails.alternatives.Android)) {
-      apps.push(...mobileDetails.alternatives.Android);
-    }
-  }
+/**
+ * Helper: Format wildcard hosts ("Wildcard: *.example.com"); exclusions go to Out-of-Scope
+ */
+function formatWildcardDataForSummary(wildcards) {
+  if (!Array.isArray(wildcards) || wildcards.length === 0) return '';
 
-  return apps;
+  return joinScopeEntries(wildcards.map(wildcard => {
+    const lines = ['🌐 WILDCARD'];
+    lines.push(`<strong>Wildcard:</strong> ${wildcard.name}`);
+    lines.push(...formatEligibilityLines(wildcard));
+    return `<div class="mb-2">${lines.join('<br>')}</div>`;
+  }));
 }
 
   /**
    * Helper: Format mobile app data in the same format as manual mode
    */
-  function formatMobileDataForSummary(mobileDetails) {
-    const apps = getMobileAppsToRender(mobileDetails, window.config);
+  function formatMobileDataForSummary(apps) {
     if (!Array.isArray(apps) || apps.length === 0) return '';
 
+    // Name, URL and version may be edited in the Program Data popup: escape everything
     const appEntries = apps.map(app => {
-      const appName = app.name || 'Unknown App';
+      const appName = escapeHtml(app.name || 'Unknown App');
       const platformLabel = app.platform === 'iOS' ? 'Apple' : app.platform === 'Android' ? 'Android' : '';
       const lines = [`📱MOBILE APP: <strong>${appName}${platformLabel ? ` (${platformLabel})` : ''}</strong>`];
       
       if (app.url) {
-        lines.push(`<strong>URL:</strong> ${app.url}`);
+        lines.push(`<strong>URL:</strong> ${escapeHtml(app.url)}`);
       }
-      lines.push(`<strong>Version:</strong> Current`);
+      if (app.storeId) {
+        lines.push(`<strong>${getStoreIdLabel(app.platform, app.storeId)}:</strong> ${escapeHtml(app.storeId)}`);
+      }
+      if (app.developer) {
+        lines.push(`<strong>Developer:</strong> ${escapeHtml(app.developer)}`);
+      }
+      // A pinned version ("2.4 and later") wins; otherwise note the store version when it was looked up
+      const storeVersion = app.version ? `Current (store version ${app.version})` : 'Current';
+      lines.push(`<strong>Version:</strong> ${escapeHtml(app.scopeVersion || storeVersion)}`);
       
+      lines.push(...formatEligibilityLines(app));
       return `<div class="mb-2">${lines.join('<br>')}</div>`;
     });
 
     // Use the same spacing approach as extractSectionHTML
-    return appEntries
-      .map((entry, idx) => (idx > 0 ? '<div class="mb-2">&nbsp;</div>' + entry : entry))
-      .join('');
-  }
-
-function getApisToRender(apiData, config) {
-  if (!apiData) return [];
-
-  const apis = [];
-  const suggestedOnly = !!(config && config.suggestedApisOnly);
-
-  if (Array.isArray(apiData.suggestedApis)) {
-    apis.push(...apiData.suggestedApis);
+    return joinScopeEntries(appEntries);
   }
 
-  if (!suggestedOnly && Array.isArray(apiData.alternativeApis)) {
-    apis.push(...apiData.alternativeApis);
-  }
-
-  return apis;
-}
-
 /**
- * Helper: format the stored API data in the ai_recommend_apis format
+ * Helper: format the collected API assets in the ai_recommend_apis format
  * "🧩 API" HTML snippet
  */
-function formatApiDataForSummary(apiData) {
-  const apis = getApisToRender(apiData, window.config);
+function formatApiDataForSummary(apis) {
   if (!Array.isArray(apis) || apis.length === 0) return '';
 
   const apiEntries = apis.map(api => {
-    const lines = [`🧩 API: <strong>${api.name || 'Unknown API'}</strong>`];
-    if (api.mainPage) lines.push(`<strong>URL:</strong> ${api.mainPage}`);
+    const lines = [`🧩 API: <strong>${escapeHtml(api.name || 'Unknown API')}</strong>`];
+    if (api.url) lines.push(`<strong>URL:</strong> ${escapeHtml(api.url)}`);
+    if (api.scopeVersion) lines.push(`<strong>Version:</strong> ${escapeHtml(api.scopeVersion)}`);
 
     if (Array.isArray(api.documentationUrls) && api.documentationUrls.length > 0) {
       if (api.documentationUrls.length === 1) {
-        lines.push(`<strong>Documentation:</strong> ${api.documentationUrls[0]}`);
+        lines.push(`<strong>Documentation:</strong> ${escapeHtml(api.documentationUrls[0])}`);
       } else {
         lines.push(`<strong>Documentation:</strong>`);
-        api.documentationUrls.forEach(docUrl => lines.push(docUrl));
+        api.documentationUrls.forEach(docUrl => lines.push(escapeHtml(docUrl)));
       }
     }
 
+    lines.push(...formatEligibilityLines(api));
     return `<div class="mb-2">${lines.join('<br>')}</div>`;
   });
 
-  return apiEntries
-    .map((entry, idx) => (idx > 0 ? '<div class="mb-2">&nbsp;</div>' + entry : entry))
-    .join('');
+  return joinScopeEntries(apiEntries);
+}
+
+/**
+ * Helper: format discovered API hosts (apiSubdomains) as their own entries
+ * The hosts are raw backend strings, so they are escaped.
+ */
+function formatApiSubdomainDataForSummary(hosts) {
+  if (!Array.isArray(hosts) || hosts.length === 0) return '';
+
+  return joinScopeEntries(hosts.map(h => {
+    const lines = ['🧩 API SUBDOMAIN', `<strong>URL:</strong> ${escapeHtml(h.url)}`, ...formatEligibilityLines(h)];
+    return `<div class="mb-2">${lines.join('<br>')}</div>`;
+  }));
 }
 
-// Build the In-Scope Assets block for the Scope editor
+/**
+ * Helper: format manual assets (see manualassets.js), each with its own icon and fields.
+ * Names and field values are typed by the user, so they are escaped.
+ */
+function formatManualAssetDataForSummary(assets) {
+  if (!Array.isArray(assets) || assets.length === 0) return '';
+
+  return joinScopeEntries(assets.map(asset => {
+    const lines = [`${asset.icon} ${asset.scopeLabel}: <strong>${escapeHtml(asset.name)}</strong>`];
+    asset.fields.forEach(f => lines.push(`<strong>${escapeHtml(f.label)}:</strong> ${escapeHtml(f.value)}`));
+    lines.push(...formatEligibilityLines(asset));
+    return `<div class="mb-2">${lines.join('<br>')}</div>`;
+  }));
+}
+
+// Build the In-Scope Assets block for the Scope editor (all program domains, deduplicated)
 function buildAssetsBlockForScope(storedApiData) {
-  const domain = (localStorage.getItem('enteredUrl') || '').trim();
+  const assets = collectScopeAssets(storedApiData, window.config);
+  const ofType = type => assets.filter(a => a.type === type);
 
   // Build sections
-  const websitesHTML = domain ? formatWebsiteDataForSummary(domain) : '';
-  const mobilesHTML  = formatMobileDataForSummary(storedApiData.mobileDetails);
-  const apisHTML     = formatApiDataForSummary(storedApiData.apiDetails);
+  const websitesHTML  = formatWebsiteDataForSummary(ofType('website'));
+  const wildcardsHTML = formatWildcardDataForSummary(ofType('wildcard'));
+  const mobilesHTML   = formatMobileDataForSummary(ofType('mobile'));
+  const apisHTML      = formatApiDataForSummary(ofType('api'));
+  const apiHostsHTML  = formatApiSubdomainDataForSummary(ofType('apiSubdomain'));
+  const manualHTML    = formatManualAssetDataForSummary(ofType('manual'));
 
   const sections = [];
-  if (websitesHTML) sections.push(websitesHTML);
+  if (websitesHTML)  sections.push(websitesHTML);
+  if (wildcardsHTML) sections.push(wildcardsHTML);
   if (mobilesHTML)  sections.push(mobilesHTML);
   if (apisHTML)     sections.push(apisHTML);
+  if (apiHostsHTML) sections.push(apiHostsHTML);
+  if (manualHTML)   sections.push(manualHTML);
 
   // Spacer only BETWEEN blocks (none after the last)
-  const assetsContent = sections
-    .map((block, idx) => (idx > 0 ? '<div class="mb-2">&nbsp;</div>' + block : block))
-    .join('');
+  const assetsContent = joinScopeEntries(sections);
 
   // NOTE: no newline before END marker; put END in its own paragraph
   return [
@@ -166,6 +202,82 @@ function buildAssetsBlockForScope(storedApiData) {
   ].join('');
 }
 
+// Short fingerprint of a generated block, used to notice when the assets changed
+function hashBlock(text) {
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) {
+    h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+  }
+  return (h >>> 0).toString(16);
+}
+
+// Default Out-of-Scope bullets: the list between the OUT-OF-SCOPE markers in scope_text.json
+function getDefaultOutOfScopeItems(scopeText) {
+  if (!Array.isArray(scopeText)) return [];
+  const start = scopeText.findIndex(b => b.type === 'paragraph' && b.text.includes('--START OUT-OF-SCOPE--'));
+  if (start < 0) return [];
+
+  const items = [];
+  for (let i = start + 1; i < scopeText.length; i++) {
+    const block = scopeText[i];
+    if (block.type === 'paragraph' && block.text.includes('--END OUT-OF-SCOPE--')) break;
+    if (block.type === 'list' && Array.isArray(block.items)) items.push(...block.items);
+  }
+  return items;
+}
+
+/**
+ * Helper: One Out-of-Scope bullet, e.g. "Acme Lite on Google Play (not part of this program)"
+ * Names, URLs and hosts come from the backend or the user, so the label is escaped.
+ */
+function formatOutOfScopeItem(asset) {
+  let label = asset.name;
+  if (asset.type === 'mobile' && asset.platform) {
+    label = `${asset.name} on ${asset.platform === 'iOS' ? 'the App Store' : 'Google Play'}`;
+  } else if (asset.type === 'api' && asset.url) {
+    label = `${asset.name}: ${asset.url}`;
+  }
+  return escapeHtml(`${label} (${asset.reason})`);
+}
+
+// Build the Out-of-Scope Assets block: template defaults + exclusions + third-party hosts
+function buildOutOfScopeBlockForScope(scopeText, storedApiData) {
+  const exclusions = collectOutOfScopeAssets(storedApiData, window.config).map(formatOutOfScopeItem);
+  const items = [...getDefaultOutOfScopeItems(scopeText), ...exclusions];
+
+  return [
+    '--START OUT-OF-SCOPE--',
+    '<p><strong>Out-of-Scope Assets</strong></p>',
+    items.length ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '',
+    '<p>--END OUT-OF-SCOPE--</p>'
+  ].join('');
+}
+
+/**
+ * Helper: Keep one managed block in sync with its generated content.
+ * - Markers missing: insert before the `insertBefore` heading (or leave the text alone).
+ * - Markers present: replace when forced or when the generated content changed since the
+ *   last render. With no stored key yet we only record it, so older saved text is kept.
+ */
+function syncManagedBlock(html, sectionName, block, { keyName, force = false, insertBefore = null }) {
+  const key = hashBlock(block);
+  const lastKey = localStorage.getItem(keyName);
+  const changed = lastKey !== null && lastKey !== key;
+
+  if (!extractBlockByMarker(html, sectionName)) {
+    if (insertBefore) {
+      console.log(`🆕 Adding ${sectionName} block (missing)`);
+      html = insertBlockBeforeSection(html, block, insertBefore);
+    }
+  } else if (force || changed) {
+    console.log(`🔄 Updating ${sectionName} block (${force ? 'URL' : 'content'} changed)`);
+    html = replaceBlockByMarker(html, sectionName, block);
+  }
+
+  localStorage.setItem(keyName, key);
+  return html;
+}
+
 // Strict replace: only START..END, never swallow neighbors
 function replaceBlockByMarker(existingHTML, sectionName, replacementBlock) {
   const name = sectionName.toUpperCase();
@@ -197,16 +309,59 @@ function extractBlockByMarker(html, sectionName, { innerOnly = false } = {}) {
 }
 
 // Generic inserter: put block before a <strong>Heading</strong>, else append
+// (before the heading's own --START X-- marker, so blocks never nest)
 function insertBlockBeforeSection(html, blockHTML, headingText) {
   try {
     const esc = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const re  = new RegExp(`(<strong>\\s*${esc(headingText)}\\s*</strong>)`, 'i');
+    const re  = new RegExp(`((?:--START [\\w-]+--(?:\\s|<[^>]+>)*)?<strong>\\s*${esc(headingText)}\\s*</strong>)`, 'i');
     return re.test(html) ? html.replace(re, blockHTML + '\n$1') : (html + '\n' + blockHTML);
   } catch {
     return html + '\n' + blockHTML;
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// In-Scope drift: the managed block vs. the latest discovery
+// ─────────────────────────────────────────────────────────────
+const DRIFT_DISMISSED_KEY = 'inScopeDriftDismissedKey';
+
+// Helper: Visible text of a block without whitespace (Trix rewrites the markup when saving)
+function normalizeBlockText(html) {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return (div.textContent || '').replace(/\s+/g, '');
+}
+
+/**
+ * Show the final-step banner when the IN-SCOPE block in `html` is not what the current
+ * assets would generate (edited by hand, imported, or kept from older saved text).
+ * "Keep my text" hides it until the generated block changes again.
+ */
+function updateInScopeDriftBanner(html, rewards, scopeText) {
+  const banner = document.getElementById('inScopeDriftBanner');
+  if (!banner) return;
+
+  const assetsBlock = buildAssetsBlockForScope(window.storedApiData || {});
+  const current = extractBlockByMarker(html, 'IN-SCOPE');
+  const key = hashBlock(assetsBlock);
+  const drifted = !!current &&
+    normalizeBlockText(current) !== normalizeBlockText(extractBlockByMarker(assetsBlock, 'IN-SCOPE')) &&
+    localStorage.getItem(DRIFT_DISMISSED_KEY) !== key;
+  banner.classList.toggle('hidden', !drifted);
+  if (!drifted) return;
+
+  document.getElementById('updateInScopeButton').onclick = () => {
+    console.log('🔄 Updating IN-SCOPE block (drift banner)');
+    setScopeHTML(replaceBlockByMarker(localStorage.getItem('scopeHTML') || html, 'IN-SCOPE', assetsBlock));
+    localStorage.setItem('lastRenderedAssetsKey', key);
+    displayScopePage(rewards, scopeText);
+  };
+  document.getElementById('keepInScopeButton').onclick = () => {
+    localStorage.setItem(DRIFT_DISMISSED_KEY, key);
+    banner.classList.add('hidden');
+  };
+}
+
 /**
  * Build or update the full scope text (used by both partial and final render).
  * - For new/reset: Use template from JSON and insert assets and rewards.
@@ -227,43 +382,49 @@ function constructScopeText(storedApiData, rewards, scopeText) {
   const assetsBlock  = buildAssetsBlockForScope(storedApiData);
   const rewardsBlock = getRewardsTextForScope(rewards);
 
+  const outOfScopeBlock = buildOutOfScopeBlockForScope(scopeText, storedApiData);
+
   if (html) {
     // Scope text exists
-    // --- assets ---
-    const hasAssets = !!extractBlockByMarker(html, 'IN-SCOPE');
-    if (!hasAssets) {
-      console.log('🆕 Adding assets block (missing)');
-      html = insertBlockBeforeSection(html, assetsBlock, 'Out-of-Scope Assets');
-    } else if (urlChanged) {
-      console.log('🔄 Updating assets block (URL changed)');
-      html = replaceBlockByMarker(html, 'IN-SCOPE', assetsBlock);
-    }
+    // --- assets (also regenerated when the discovered/added assets change) ---
+    html = syncManagedBlock(html, 'IN-SCOPE', assetsBlock, {
+      keyName: 'lastRenderedAssetsKey',
+      force: urlChanged,
+      insertBefore: 'Out-of-Scope Assets'
+    });
 
-    // --- rewards ---
-    const selectedTier     = localStorage.getItem('selectedRewardTier') || '';
+    // --- out-of-scope (never inserted into text that predates its markers) ---
+    html = syncManagedBlock(html, 'OUT-OF-SCOPE', outOfScopeBlock, {
+      keyName: 'lastRenderedOutOfScopeKey'
+    });
+
+    // --- rewards (the tier, or the tier of each asset group) ---
+    const rewardsKey       = getRewardsRenderKey(rewards);
     const lastRenderedTier = localStorage.getItem('lastRenderedRewardTier') || '';
     const hasRewards       = !!extractBlockByMarker(html, 'REWARDS');
-    const tierChanged      = selectedTier !== lastRenderedTier;
+    const tierChanged      = rewardsKey !== lastRenderedTier;
 
     if (!hasRewards) {
       console.log('🆕 Adding rewards block (missing)');
       html = insertBlockBeforeSection(html, rewardsBlock, 'Submission Guidelines');
-      localStorage.setItem('lastRenderedRewardTier', selectedTier);
+      localStorage.setItem('lastRenderedRewardTier', rewardsKey);
     } else if (tierChanged) {
       console.log('🔁 Updating rewards block (tier changed)');
       html = replaceBlockByMarker(html, 'REWARDS', rewardsBlock);
-      localStorage.setItem('lastRenderedRewardTier', selectedTier);
+      localStorage.setItem('lastRenderedRewardTier', rewardsKey);
     }
   } else {
     // New scope text
     console.log('🆕 Creating new scope from JSON template');
     const templateHTML = getScopeTextFromJSON(scopeText);
     html = replaceBlockByMarker(templateHTML, 'IN-SCOPE', assetsBlock);
+    html = replaceBlockByMarker(html, 'OUT-OF-SCOPE', outOfScopeBlock);
     html = replaceBlockByMarker(html, 'REWARDS', rewardsBlock);
+    localStorage.setItem('lastRenderedAssetsKey', hashBlock(assetsBlock));
+    localStorage.setItem('lastRenderedOutOfScopeKey', hashBlock(outOfScopeBlock));
 
     // Record current tier as rendered so we don't immediately re-render on next pass
-    const selectedTier = localStorage.getItem('selectedRewardTier') || '';
-    localStorage.setItem('lastRenderedRewardTier', selectedTier);
+    localStorage.setItem('lastRenderedRewardTier', getRewardsRenderKey(rewards));
   }
 
   // Persist only if changed
@@ -326,6 +487,7 @@ function displayScopePage(rewards, scopeText) {
   finalInput.dispatchEvent(new Event('input', { bubbles: true }));
   finalEditor.editor.loadHTML(html);
   setScopeHTML(html);
+  updateInScopeDriftBanner(html, rewards, scopeText);
 }
 
   // Attach a 📋 Copy button to the *final scope* Trix editor toolbar
@@ -355,8 +517,65 @@ function displayScopePage(rewards, scopeText) {
     btn.addEventListener('click', copyFinalSummary);
   
     fileGroup.appendChild(btn);
+    fileGroup.appendChild(buildExportMenu());
     editor.dataset.copyButtonWired = '1';
   }
+
+  // ⬇ Export dropdown that sits next to the Copy button
+  function buildExportMenu() {
+    const wrapper = document.createElement('span');
+    wrapper.id = 'exportMenu';
+    wrapper.className = 'relative inline-block';
+
+    const toggle = document.createElement('button');
+    toggle.type      = 'button';
+    toggle.title     = 'Export';
+    toggle.className = 'trix-button export-button';
+    toggle.textContent = '⬇ Export';
+
+    const menu = document.createElement('div');
+    menu.id = 'exportMenuList';
+    menu.className = 'hidden absolute right-0 mt-2 w-64 bg-white border border-gray-200 rounded shadow-lg z-20 py-1 text-sm text-left';
+
+    // One entry per exporter action (see the exporter interface in export.js)
+    const items = [];
+    getExporters().forEach(exporter => {
+      if (exporter.copyLabel) items.push({ label: exporter.copyLabel, onClick: () => copyExport(exporter) });
+      items.push({ label: exporter.label, onClick: () => downloadExport(exporter) });
+    });
+    items.push({ label: '🔐 security.txt…', onClick: showSecurityTxtModal });
+
+    items.forEach(({ label, onClick }) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'block w-full text-left px-3 py-2 hover:bg-blue-50 text-gray-700';
+      item.textContent = label;
+      item.addEventListener('click', () => {
+        menu.classList.add('hidden');
+        onClick();
+      });
+      menu.appendChild(item);
+    });
+
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.classList.toggle('hidden');
+    });
+
+    // Close when clicking anywhere else. The menu is rebuilt with the toolbar, so the
+    // listener is wired once and looks up the current menu.
+    if (document.documentElement.dataset.exportMenuWired !== '1') {
+      document.addEventListener('click', (e) => {
+        const current = document.getElementById('exportMenu');
+        if (current && !current.contains(e.target)) document.getElementById('exportMenuList')?.classList.add('hidden');
+      });
+      document.documentElement.dataset.exportMenuWired = '1';
+    }
+
+    wrapper.appendChild(toggle);
+    wrapper.appendChild(menu);
+    return wrapper;
+  }
   
   export function showMessageModal(title, message) {
     const modal = document.getElementById('messageModal');
@@ -415,7 +634,28 @@ function displayScopePage(rewards, scopeText) {
     window.getSelection().removeAllRanges();
   }
 
+  // Export menu: copy an exporter's output (e.g. Markdown)
+  async function copyExport(exporter) {
+    const content = buildExport(exporter.id);
+    if (!content.trim()) return;
+
+    const ok = await copyTextToClipboard(content);
+    if (ok) {
+      showMessageModal('Copied!', 'Export copied to clipboard.');
+    } else {
+      showMessageModal('Copy failed', 'Your browser blocked clipboard access. Use the download option instead.');
+    }
+  }
+
+  // Export menu: download an exporter's output as a file
+  function downloadExport(exporter) {
+    const content = buildExport(exporter.id);
+    if (!content.trim()) return;
+    downloadTextFile(buildExportFileName(exporter.extension, exporter.fileLabel), content, exporter.mimeType);
+  }
+
   export {
+    getScopeTextFromJSON,
     buildPartialScopeTextFromApi,
     displayScopePage
   };
@@ -1,7 +1,38 @@
 import { initializeSteps, registerDisplayScope } from './navigation.js';
-import { renderRewardTiers } from './rewards.js';
-import { loadApiDataInBackground, storedApiData, checkDomainResolvable, normalizeApiDetails, showApiResultsPopup } from './api.js';
+import { renderRewardTiers, clearCustomRewardTiers, invalidateRenderedRewards, showCustomTierModal } from './rewards.js';
+import { setupAssetRewardGroups, clearAssetRewardGroups } from './rewardgroups.js';
+import { setupCurrencySelector, loadCurrencySelector, clearCurrencySettings } from './currency.js';
+import { setupSeverityAssessment, loadSeverityAssessment, clearSeverityAssessment } from './severity.js';
+import { setupPayoutRules, loadPayoutRules, clearPayoutRules } from './payoutrules.js';
+import { setupTierQuestionnaire, loadTierQuestionnaire, clearTierQuestionnaire } from './tierrecommend.js';
+import { setupBudgetSimulator, loadBudgetSimulator, clearBudgetSimulator } from './budget.js';
+import {
+  loadApiDataInBackground,
+  storedApiData,
+  checkDomainResolvable,
+  normalizeApiDetails,
+  showApiResultsPopup,
+  refreshMobileAppData
+} from './api.js';
 import { displayScopePage, buildPartialScopeTextFromApi, showMessageModal } from './scope.js';
+import { buildExportFileName, downloadTextFile } from './export.js';
+import { buildProjectFile, parseProjectFile, applyProjectFile } from './project.js';
+import { showPolicyImportModal } from './policyimport.js';
+import {
+  isValidDomainOrUrl,
+  isWildcardHost,
+  extractDomain,
+  setupAdditionalDomains,
+  setupThirdPartyHosts,
+  loadAdditionalDomains,
+  clearAdditionalDomains,
+  rememberWebTarget,
+  renderPrimaryWebTarget
+} from './domains.js';
+import { SELECTIONS_PREFIX } from './selections.js';
+import { setupManualAssets, loadManualAssets, clearManualAssets } from './manualassets.js';
+import { showAssetEligibilityModal, getRewardAtSeverity } from './eligibility.js';
+import { setupMobileOptions, loadMobileOptions, clearMobileOptions, readMobileCache } from './mobileoptions.js';
 
 // Data is split into three JSON files:
 // - config.json for app settings
@@ -10,6 +41,7 @@ import { displayScopePage, buildPartialScopeTextFromApi, showMessageModal } from
 // This keeps responsibilities clear and files easier to maintain.
 let config = null;
 let scopeText = null;
+let scopeTextVersion = null;
 let rewards = null;
 
 let __didFetchApiDataOnStartup = false;
@@ -71,9 +103,44 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // B) Restore cached API data if present
       loadDataFromLocalStorage();
+
+      // B2) Other root domains: restore from cache, fetch the ones never loaded
+      setupAdditionalDomains();
+      setupThirdPartyHosts();
+      loadAdditionalDomains();
+
+      // B3) Manually entered assets (IP ranges, repositories, devices…)
+      setupManualAssets();
+      loadManualAssets();
+
+      // B4) Mobile search options (re-fetch apps whose cache does not match them)
+      setupMobileOptions(refreshMobileAppData);
+      loadMobileOptions();
       
       // C) Initialize UI components
       registerDisplayScope(displayScope);
+      setupCurrencySelector(() => {
+        // Same tier, new amounts: the Rewards block must be rebuilt
+        invalidateRenderedRewards();
+        renderRewardTiers(rewards);
+      });
+      loadCurrencySelector();
+      setupSeverityAssessment({
+        onChange: invalidateRenderedRewards,
+        getRewardText: (severity) => getRewardAtSeverity(rewards, severity)
+      });
+      loadSeverityAssessment();
+      setupPayoutRules({ onChange: invalidateRenderedRewards });
+      loadPayoutRules();
+      // New answers or discovered data move the recommended tier card
+      setupTierQuestionnaire({ onChange: () => renderRewardTiers(rewards) });
+      loadTierQuestionnaire();
+      setupBudgetSimulator();
+      loadBudgetSimulator();
+      // Per-type tier selects are (re)filled whenever the tier cards render
+      setupAssetRewardGroups(rewards, {
+        editCustomTier: (onSaved) => showCustomTierModal(rewards, null, { onSaved })
+      });
       renderRewardTiers(rewards);
       
       // D) Initialize the wizard steps
@@ -98,12 +165,14 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       });
 
-      // If data updates while viewing FINAL, refresh the rendered scope
-      window.addEventListener('api-data-updated', () => {
-        const finalStep = document.getElementById('final-step');
-        if (finalStep && !finalStep.classList.contains('hidden')) {
-          displayScopePage(rewards, scopeText);
-        }
+      // If data or asset selections change while viewing FINAL, refresh the rendered scope
+      ['api-data-updated', 'scope-assets-changed'].forEach(eventName => {
+        window.addEventListener(eventName, () => {
+          const finalStep = document.getElementById('final-step');
+          if (finalStep && !finalStep.classList.contains('hidden')) {
+            displayScopePage(rewards, scopeText);
+          }
+        });
       });
 
       // When FINAL becomes visible, immediately set the busy state based on current loading flags
@@ -242,6 +311,14 @@ async function handleDomainInput(rawInput) {
     return;
   }
 
+  // Scheme, port or path typed with the domain (e.g. http://example.com:8080/app/)
+  const targetError = rememberWebTarget(rawInput);
+  if (targetError) {
+    showDomainValidationError(targetError);
+    return;
+  }
+  renderPrimaryWebTarget();
+
   if (domain && domain === lastProcessedValue) {
     console.log("⏭ Domain already processed, skipping:", domain);
     return;
@@ -259,7 +336,9 @@ async function handleDomainInput(rawInput) {
   // ── FORMAT VALIDATION (no network) ──────────────────────────
   if (!isValidDomainOrUrl(domain)) {
     try { localStorage.setItem('enteredUrlValid', '0'); } catch {}
-    showDomainValidationError();
+    showDomainValidationError(isWildcardHost(domain)
+      ? 'Enter the main domain here (e.g. example.com); add wildcards like *.example.com under "Other domains and wildcards".'
+      : undefined);
     document.getElementById('urlResolveWarn')?.remove();
     return;
   }
@@ -268,6 +347,7 @@ async function handleDomainInput(rawInput) {
 
   // Persist normalised domain so other modules see the same value
   localStorage.setItem('enteredUrl', domain);
+  renderPrimaryWebTarget();
 
   // ── DNS RESOLVABILITY CHECK (gate fetching) ─────────────────
   let allowFetch = true; // default allow
@@ -431,6 +511,7 @@ async function loadAppConfig() {
     // Unwrap keys for clarity
     scopeText = scopeJson.scope_text;  // still wrapped
     window.scopeText = scopeText;      // ✅ Make globally available
+    scopeTextVersion = scopeJson.version ?? null; // saved in project files
     rewards   = rewardsJson;           // ✅ already flattened
     window.rewards = rewards;          // ✅ Make globally available
     config    = configJson;            // ✅ already flattened
@@ -475,56 +556,6 @@ function maybeWarnIfUnresolvable(domain, result) {
   console.warn('⚠️ Domain appears unresolvable (frontend warning only):', { domain, result });
 }
 
-// Replace your TLD-based validator with this policy-driven one (stricter)
-// - Accepts either a full URL or a bare hostname
-// - Requires at least one dot (e.g. example.com)
-// - Enforces label/TLD rules (letters/digits/hyphen, no leading/trailing hyphen)
-// - Keeps the scheme allowlist behavior and the localhost rejection
-function isValidDomainOrUrl(input, { allowHttp = false } = {}) {
-  try {
-    const s = String(input || '').trim();
-    if (!s) return false;
-
-    let host = '';
-
-    // Accept bare hostnames like "example.com" or a full URL
-    if (/^https?:\/\//i.test(s)) {
-      const url = new URL(s);
-      // 1) Scheme allowlist
-      const scheme = url.protocol.replace(':','').toLowerCase();
-      if (!(scheme === 'https' || (allowHttp && scheme === 'http'))) return false;
-      host = url.hostname;
-    } else {
-      // No scheme: treat as a host; reject obvious path/space
-      if (/\s/.test(s) || s.includes('/')) return false;
-      host = s;
-    }
-
-    // Normalise
-    host = host.toLowerCase().replace(/^www\./, '');
-
-    // 2) Optional: reject obvious private hosts unless you want them
-    if (/\blocal(host)?$/.test(host)) return false;
-
-    // 3) Must not have trailing dot and must contain at least one dot
-    if (host.endsWith('.')) return false;
-    const labels = host.split('.');
-    if (labels.length < 2) return false;
-
-    // 4) TLD sanity: letters only, 2–63 chars
-    const tld = labels[labels.length - 1];
-    if (!/^[a-z]{2,63}$/i.test(tld)) return false;
-
-    // 5) Label rules: 1–63 chars, letters/digits/hyphen, no leading/trailing hyphen
-    const labelRe = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i;
-    if (!labels.every(l => labelRe.test(l))) return false;
-
-    return true;
-  } catch {
-    return false;
-  }
-}
-
 function showDomainValidationError(msg) {
   const el = document.getElementById('urlError');
   if (!el) return;
@@ -564,7 +595,7 @@ function loadDataFromLocalStorage() {
   const blob = readJSONFromLocalStorage(`apiData_${savedDomain}`);
   if (!blob) return;
 
-  storedApiData.mobileDetails = blob.mobileDetails || null;
+  Object.assign(storedApiData, readMobileCache(blob));
   storedApiData.apiDetails = blob.apiDetails ? normalizeApiDetails(blob.apiDetails) : null;
   storedApiData.loading = false;
   storedApiData.isLoading = false;
@@ -664,23 +695,6 @@ async function fetchApiDataOnStartup() {
   }
 }
 
-function extractDomain(input) {
-  try {
-    let hostname;
-
-    if (input.startsWith('http://') || input.startsWith('https://')) {
-      hostname = new URL(input).hostname;
-    } else {
-      hostname = input.replace(/^https?:\/\//, '').split('/')[0];
-    }
-
-    // Lowercase and strip leading www.
-    return hostname.toLowerCase().replace(/^www\./, '');
-  } catch {
-    return (input || '').trim().toLowerCase().replace(/^www\./, '');
-  }
-}
-
 function setupUrlPersistence() {
   //console.log('Setting up URL persistence...');
   const urlInput = document.getElementById('websiteUrl');
@@ -698,6 +712,9 @@ function setupUrlPersistence() {
     if (value) {
       try {
         const domain = extractDomain(value);
+
+        // Keep the typed scheme/port/path (handleDomainInput reports invalid ones)
+        if (rememberWebTarget(value)) return;
         
         // Check if this domain was already saved to avoid all unnecessary processing
         const currentSaved = localStorage.getItem('enteredUrl');
@@ -711,6 +728,7 @@ function setupUrlPersistence() {
         
         localStorage.setItem('enteredUrl', domain);
         console.log('Saved to localStorage');
+        renderPrimaryWebTarget();
         
         // Update the input with the normalized value
         if (urlInput.value !== domain) {
@@ -924,21 +942,33 @@ function performReset() {
     'initialRewardTier',
     'lastRenderedRewardTier',
     'initialDomain',
-    'scopeHTML'
+    'scopeHTML',
+    'securityTxtSettings',
+    'lastRenderedAssetsKey',
+    'lastRenderedOutOfScopeKey',
+    'inScopeDriftDismissedKey',
+    'assetEligibility'
   ];
   keysToRemove.forEach(k => localStorage.removeItem(k));
 
-  // Remove any cached API payloads
+  // Remove any cached API payloads and per-domain asset selections
   Object.keys(localStorage).forEach(key => {
-    if (key.startsWith('apiData_')) localStorage.removeItem(key);
+    if (key.startsWith('apiData_') || key.startsWith(SELECTIONS_PREFIX)) localStorage.removeItem(key);
   });
 
+  // Additional root domains (list, in-flight loads and in-memory data)
+  clearAdditionalDomains();
+  clearManualAssets();
+  clearMobileOptions();
+
   // ─────────────────────────────────────────────────────────────
   // 2) Reset in‑memory API store (from api.js)
   // ─────────────────────────────────────────────────────────────
   try {
     if (typeof storedApiData !== 'undefined' && storedApiData) {
       storedApiData.mobileDetails = null;
+      storedApiData.mobileVersions = false;
+      storedApiData.mobileSearch = '';
       storedApiData.apiDetails = null;
       storedApiData.scopeText = null;          // if populated by API
       storedApiData.scopeHTML = null;   // cached HTML (assets-injected)
@@ -969,6 +999,14 @@ function performReset() {
   if (typeof clearRewardsSelection === 'function') {
     clearRewardsSelection();
   }
+  clearCustomRewardTiers(rewards);
+  clearCurrencySettings();
+  clearSeverityAssessment();
+  clearPayoutRules();
+  clearTierQuestionnaire();
+  clearBudgetSimulator();
+  clearAssetRewardGroups(rewards);
+  renderRewardTiers(rewards);
   const rewardDetailsEl = document.getElementById('rewardDetails');
   if (rewardDetailsEl) rewardDetailsEl.innerHTML = '';
 
@@ -1021,12 +1059,15 @@ function performReset() {
     finalEditor.editor.loadHTML('');
   }
 
-  // Remove Copy button and clear the wired flag (so we can add it once later)
+  // Remove Copy/Export buttons and clear the wired flag (so we can add them once later)
   if (finalEditor) {
     if (finalEditor.toolbarElement) {
       finalEditor.toolbarElement
         .querySelector('[data-trix-button-group="file-tools"] #copyButton')
         ?.remove();
+      finalEditor.toolbarElement
+        .querySelector('[data-trix-button-group="file-tools"] #exportMenu')
+        ?.remove();
     }
     finalEditor.dataset.copyButtonWired = '0';
   }
@@ -1048,10 +1089,144 @@ function performReset() {
   }
 }
 
-// wire up the button
+/* ================================
+   Project file (save / open)
+   ================================ */
+
+// Download the whole builder state as one JSON document
+function saveProject() {
+  // Make sure the latest editor changes are included
+  if (isOnFinalStep()) persistScopeHTML();
+
+  const project = buildProjectFile({ templateVersion: scopeTextVersion });
+  downloadTextFile(
+    buildExportFileName('json', 'project'),
+    JSON.stringify(project, null, 2) + '\n',
+    'application/json'
+  );
+}
+
+// Replace the current state with a project file and redraw both steps
+async function openProject(file) {
+  if (!file) return;
+
+  let project;
+  try {
+    project = parseProjectFile(await file.text());
+  } catch (e) {
+    showMessageModal('Open project', e.message || 'The project file could not be read.');
+    return;
+  }
+
+  // Stop any URL debounce and in-flight loads for the current domain
+  if (typingTimeout) {
+    clearTimeout(typingTimeout);
+    typingTimeout = null;
+  }
+  try { window.__apiLoadState?.mobileCtrl?.abort(); } catch {}
+  try { window.__apiLoadState?.apiCtrl?.abort(); } catch {}
+  try {
+    if (!window.__apiLoadState) window.__apiLoadState = {};
+    window.__apiLoadState.pinned = false;
+  } catch {}
+  const loadingEl = document.getElementById('dataLoadingStatus');
+  if (loadingEl) {
+    loadingEl.classList.add('hidden');
+    loadingEl.innerHTML = '';
+  }
+  document.getElementById('urlResolveWarn')?.remove();
+
+  applyProjectFile(project);
+
+  // Reset in-memory state, then restore it from the project's cached payloads
+  storedApiData.mobileDetails = null;
+  storedApiData.mobileVersions = false;
+  storedApiData.mobileSearch = '';
+  storedApiData.apiDetails = null;
+  storedApiData.mobileError = null;
+  storedApiData.apiError = null;
+  storedApiData.error = null;
+  storedApiData.loading = false;
+  storedApiData.isLoading = false;
+  storedApiData.scopeHTML = project.scopeHTML || null;
+  lastProcessedValue = null;
+  pendingDomain = null;
+  lastCheckedDomain = null;
+  lastResolveVerdict = null;
+  setLoadingStateForFinalStep(false);
+  loadDataFromLocalStorage();
+  loadAdditionalDomains();
+  loadManualAssets();
+  loadMobileOptions();
+
+  // Builder step: URL + reward tier
+  const urlInput = document.getElementById('websiteUrl');
+  if (urlInput) urlInput.value = project.domain;
+  if (project.domain && !isValidDomainOrUrl(project.domain)) {
+    showDomainValidationError();
+  } else {
+    hideDomainValidationError();
+  }
+  loadCurrencySelector();
+  loadSeverityAssessment();
+  loadPayoutRules();
+  loadTierQuestionnaire();
+  loadBudgetSimulator();
+  renderRewardTiers(rewards);
+
+  // Show the saved step; re-render FINAL if we were already on it
+  initializeSteps();
+  if (isOnFinalStep()) {
+    displayScopePage(rewards, scopeText);
+  }
+
+  let message = `Project for ${project.domain || 'an empty program'} opened.`;
+  if (project.templateVersion !== null && project.templateVersion !== scopeTextVersion) {
+    message += ` It was saved with scope template version ${project.templateVersion} (current: ${scopeTextVersion}); your scope text was restored unchanged.`;
+  }
+  showMessageModal('Project opened', message);
+}
+
+/* ================================
+   Policy import
+   ================================ */
+
+// Replace the final-step text with an imported policy, then let the managed blocks refresh
+function openPolicyImport() {
+  showPolicyImportModal(({ managed }) => {
+    displayScopePage(rewards, scopeText);
+
+    const missing = ['IN-SCOPE', 'REWARDS'].filter(name => !managed.includes(name));
+    let message = 'Policy imported.';
+    if (missing.length) {
+      message += ` No ${missing.map(n => n === 'IN-SCOPE' ? '"In-Scope Assets"' : '"Rewards"').join(' or ')} heading was found, so the generated section was added instead.`;
+    }
+    showMessageModal('Policy imported', message);
+  });
+}
+
+// wire up the buttons
 document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('importPolicyButton')
+    ?.addEventListener('click', openPolicyImport);
+
+  document.getElementById('assetEligibilityButton')
+    ?.addEventListener('click', showAssetEligibilityModal);
+
   document.getElementById('resetButton')
     ?.addEventListener('click', performReset);
+
+  document.getElementById('saveProjectButton')
+    ?.addEventListener('click', saveProject);
+
+  const openInput = document.getElementById('openProjectInput');
+  document.getElementById('openProjectButton')
+    ?.addEventListener('click', () => openInput?.click());
+  openInput?.addEventListener('change', () => {
+    const file = openInput.files && openInput.files[0];
+    openInput.value = ''; // allow re-opening the same file
+    openProject(file);
+  });
 });
 
 export { config };
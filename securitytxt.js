@@ -0,0 +1,239 @@
+// securitytxt.js — Generate /.well-known/security.txt (RFC 9116) for the program domain
+// Form lives in #securityTxtModal (index.html); values persist in localStorage together with
+// the domain they were entered for, so a different program starts from fresh defaults.
+
+import { buildExport, buildExportFileName, downloadTextFile } from './export.js';
+import { canonicalizeHost } from './hostnames.js';
+
+const SETTINGS_KEY = 'securityTxtSettings';
+
+// Form field ids → settings keys
+const FIELDS = {
+  contact:    'securityTxtContact',
+  expires:    'securityTxtExpires',
+  policy:     'securityTxtPolicy',
+  encryption: 'securityTxtEncryption',
+  languages:  'securityTxtLanguages'
+};
+
+function getProgramDomain() {
+  return canonicalizeHost(localStorage.getItem('enteredUrl') || '');
+}
+
+// Default Policy URL: where the Markdown export of the scope would be published
+function getDefaultPolicyUrl(domain) {
+  return domain ? `https://${domain}/security/${buildExportFileName('md')}` : '';
+}
+
+// Default expiry: one day short of a year from today (RFC 9116 §2.5.5 recommends < 1 year)
+function getDefaultExpiresDate() {
+  const d = new Date();
+  d.setFullYear(d.getFullYear() + 1);
+  d.setDate(d.getDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Helper: Saved form values for `domain` ({} when none were saved for it).
+ */
+function readSettings(domain) {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    const saved = raw ? JSON.parse(raw) : {};
+    return saved && saved.domain === domain ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Helper: Normalise one Contact entry to a URI.
+ * "security@example.com" → "mailto:security@example.com"
+ * Returns null when the entry is not a usable email, https:// URL or tel: URI.
+ */
+function normalizeContact(entry) {
+  const s = String(entry || '').trim();
+  if (!s) return null;
+  if (/^mailto:[^\s@]+@[^\s@]+\.[^\s@]+$/i.test(s)) return s;
+  if (/^[^\s@:/]+@[^\s@]+\.[^\s@]+$/.test(s)) return `mailto:${s}`;
+  if (/^tel:\+?[\d\s().-]{4,}$/i.test(s)) return s.replace(/\s+/g, '');
+  if (isHttpsUrl(s)) return s;
+  return null;
+}
+
+/**
+ * Validate the raw form values.
+ * Returns { fields, errors } — errors is keyed like FIELDS and empty when valid.
+ */
+function validateSecurityTxtFields(values, now = new Date()) {
+  const errors = {};
+  const fields = {};
+
+  // Contact (required, one or more)
+  const contacts = String(values.contact || '')
+    .split(/[\n,]+/)
+    .map(c => c.trim())
+    .filter(Boolean);
+  if (contacts.length === 0) {
+    errors.contact = 'At least one contact is required.';
+  } else {
+    const normalized = contacts.map(normalizeContact);
+    const badIdx = normalized.findIndex(c => !c);
+    if (badIdx >= 0) {
+      errors.contact = `"${contacts[badIdx]}" is not an email address, https:// URL or tel: number.`;
+    } else {
+      fields.contact = normalized;
+    }
+  }
+
+  // Expires (required, in the future)
+  const expiresRaw = String(values.expires || '').trim();
+  const expires = /^\d{4}-\d{2}-\d{2}$/.test(expiresRaw) ? new Date(`${expiresRaw}T23:59:59Z`) : null;
+  if (!expires || Number.isNaN(expires.getTime())) {
+    errors.expires = 'Please choose an expiry date.';
+  } else if (expires <= now) {
+    errors.expires = 'The expiry date must be in the future.';
+  } else {
+    fields.expires = expires.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  // Policy / Encryption (optional, https only)
+  ['policy', 'encryption'].forEach(key => {
+    const v = String(values[key] || '').trim();
+    if (!v) return;
+    if (!isHttpsUrl(v)) errors[key] = 'Please enter a full https:// URL.';
+    else fields[key] = v;
+  });
+
+  // Preferred-Languages (optional, comma-separated language tags)
+  const languages = String(values.languages || '')
+    .split(',')
+    .map(l => l.trim())
+    .filter(Boolean);
+  const badLang = languages.find(l => !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(l));
+  if (badLang) {
+    errors.languages = `"${badLang}" is not a valid language tag (e.g. en, fr, pt-BR).`;
+  } else if (languages.length) {
+    fields.languages = languages;
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Build the security.txt text from validated fields.
+ */
+function buildSecurityTxt(domain, fields) {
+  const lines = [
+    `# security.txt for ${domain}`,
+    `# Generated by Bug Bounty Scope Builder — see RFC 9116`,
+    ''
+  ];
+
+  fields.contact.forEach(c => lines.push(`Contact: ${c}`));
+  lines.push(`Expires: ${fields.expires}`);
+  if (fields.encryption) lines.push(`Encryption: ${fields.encryption}`);
+  if (fields.policy)     lines.push(`Policy: ${fields.policy}`);
+  if (fields.languages)  lines.push(`Preferred-Languages: ${fields.languages.join(', ')}`);
+  lines.push(`Canonical: https://${domain}/.well-known/security.txt`);
+
+  return lines.join('\n') + '\n';
+}
+
+function showFieldError(key, message) {
+  const el = document.getElementById(`${FIELDS[key]}Error`);
+  if (!el) return;
+  el.textContent = message || '';
+  el.classList.toggle('hidden', !message);
+}
+
+/**
+ * Open the security.txt form for the entered domain.
+ */
+function showSecurityTxtModal() {
+  const modal = document.getElementById('securityTxtModal');
+  const form  = document.getElementById('securityTxtForm');
+  if (!modal || !form) {
+    console.error('⚠️ security.txt modal elements missing');
+    return;
+  }
+
+  const domain = getProgramDomain();
+  document.getElementById('securityTxtDomain').textContent = domain || 'your domain';
+
+  // Restore the values saved for this domain, falling back to sensible defaults
+  const saved = readSettings(domain);
+  const defaults = {
+    contact:    domain ? `security@${domain}` : '',
+    expires:    getDefaultExpiresDate(),
+    policy:     getDefaultPolicyUrl(domain),
+    encryption: '',
+    languages:  'en'
+  };
+  Object.entries(FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (el) el.value = saved[key] ?? defaults[key];
+    showFieldError(key, '');
+  });
+
+  // An expired saved date is useless; replace it with the default
+  const expiresEl = document.getElementById(FIELDS.expires);
+  if (expiresEl && expiresEl.value && new Date(`${expiresEl.value}T23:59:59Z`) <= new Date()) {
+    expiresEl.value = defaults.expires;
+  }
+
+  const close = () => modal.classList.add('hidden');
+  document.getElementById('closeSecurityTxtModal').onclick = close;
+  document.getElementById('cancelSecurityTxt').onclick = close;
+  modal.onclick = (e) => { if (e.target === modal) close(); };
+
+  form.onsubmit = (e) => {
+    e.preventDefault();
+
+    if (!domain) {
+      showFieldError('contact', 'Enter the website URL on the first page before generating security.txt.');
+      return;
+    }
+
+    const values = {};
+    Object.entries(FIELDS).forEach(([key, id]) => {
+      values[key] = document.getElementById(id)?.value || '';
+    });
+    try { localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...values, domain })); } catch {}
+
+    const { fields, errors } = validateSecurityTxtFields(values);
+    Object.keys(FIELDS).forEach(key => showFieldError(key, errors[key]));
+    if (Object.keys(errors).length) return;
+
+    downloadTextFile('security.txt', buildSecurityTxt(domain, fields), 'text/plain');
+
+    // Publish the scope at the Policy URL: hand over the Markdown export too
+    const withPolicy = document.getElementById('securityTxtDownloadPolicy')?.checked;
+    if (withPolicy && fields.policy) {
+      const markdown = buildExport('markdown');
+      if (markdown.trim()) {
+        let fileName = fields.policy.split(/[?#]/)[0].split('/').pop() || buildExportFileName('md');
+        if (!/\.\w+$/.test(fileName)) fileName += '.md';
+        downloadTextFile(fileName, markdown, 'text/markdown');
+      }
+    }
+
+    close();
+  };
+
+  modal.classList.remove('hidden');
+}
+
+export {
+  showSecurityTxtModal,
+  validateSecurityTxtFields,
+  buildSecurityTxt
+};
@@ -0,0 +1,159 @@
+// selections.js — Per-domain user choices about discovered assets
+// Stored in localStorage as assetSelections_<domain>:
+//   {
+//     apiSubdomains: { "<host>": false },
+//     apps: { "<app key>": { included, name, url, version } },
+//     apis: { "<api key>": { included, name, url, version } }
+//   }
+// Only deviations from the default are stored. Discovered API hosts are included by default;
+// apps and APIs default to the suggestedAppsOnly / suggestedApisOnly switches in config.json.
+//
+// Bounty eligibility is program-wide (assetEligibility), keyed like collectScopeAssets:
+//   { "<asset key>": { bountyEligible: false, maxSeverity: "medium" } }
+
+const SELECTIONS_PREFIX = 'assetSelections_';
+const ELIGIBILITY_KEY = 'assetEligibility';
+
+// Highest first; an asset's maxSeverity caps the reward levels it can earn
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const SEVERITY_LABELS = { critical: 'Critical', high: 'High', medium: 'Medium', low: 'Low' };
+
+function getAssetSelections(domain) {
+  try {
+    const raw = localStorage.getItem(`${SELECTIONS_PREFIX}${domain}`);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return (parsed && typeof parsed === 'object') ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveAssetSelections(domain, selections) {
+  const hasAny = Object.values(selections).some(group => group && Object.keys(group).length);
+  if (hasAny) {
+    localStorage.setItem(`${SELECTIONS_PREFIX}${domain}`, JSON.stringify(selections));
+  } else {
+    localStorage.removeItem(`${SELECTIONS_PREFIX}${domain}`);
+  }
+}
+
+/**
+ * Helper: Host name of one apiSubdomains entry.
+ * The backend sends plain strings; objects ({ subdomain | host | url }) are accepted too.
+ */
+function getApiSubdomainHost(entry) {
+  const raw = typeof entry === 'string'
+    ? entry
+    : (entry?.subdomain || entry?.host || entry?.domain || entry?.url || entry?.name || '');
+  return String(raw).trim().toLowerCase().replace(/^https?:\/\//, '').split(/[/?#]/)[0];
+}
+
+/**
+ * Helper: Stable keys for curated apps and APIs.
+ * Built from the fields as the backend returned them, so user edits never change the key.
+ */
+function getAppSelectionKey(app) {
+  return `${app?.platform || ''}:${app?.url || app?.name || ''}`;
+}
+
+function getApiSelectionKey(api) {
+  return String(api?.mainPage || api?.name || '');
+}
+
+// Curation of one app ('apps') or API ('apis'): { included?, name?, url?, version? }
+function getAssetSelection(domain, group, key) {
+  return getAssetSelections(domain)[group]?.[key] || {};
+}
+
+/**
+ * Update the curation of one app or API.
+ * Empty edits are dropped so the asset falls back to the discovered value.
+ */
+function setAssetSelection(domain, group, key, changes) {
+  const selections = getAssetSelections(domain);
+  const entry = { ...(selections[group]?.[key] || {}), ...changes };
+  Object.keys(entry).forEach(field => {
+    if (entry[field] === '' || entry[field] === null || entry[field] === undefined) delete entry[field];
+  });
+
+  const groupEntries = { ...(selections[group] || {}) };
+  if (Object.keys(entry).length) groupEntries[key] = entry;
+  else delete groupEntries[key];
+  selections[group] = groupEntries;
+
+  saveAssetSelections(domain, selections);
+  try { window.dispatchEvent(new CustomEvent('scope-assets-changed')); } catch {}
+}
+
+function isAssetIncluded(selection, includedByDefault) {
+  return typeof selection?.included === 'boolean' ? selection.included : includedByDefault;
+}
+
+function isApiSubdomainIncluded(domain, host) {
+  return getAssetSelections(domain).apiSubdomains?.[host] !== false;
+}
+
+function setApiSubdomainIncluded(domain, host, included) {
+  const selections = getAssetSelections(domain);
+  const group = { ...(selections.apiSubdomains || {}) };
+  if (included) delete group[host];
+  else group[host] = false;
+  selections.apiSubdomains = group;
+  saveAssetSelections(domain, selections);
+  try { window.dispatchEvent(new CustomEvent('scope-assets-changed')); } catch {}
+}
+
+function readEligibility() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(ELIGIBILITY_KEY) || '{}');
+    return (parsed && typeof parsed === 'object') ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Bounty eligibility of one in-scope asset: { bountyEligible, maxSeverity }.
+ * Defaults to eligible at every severity.
+ */
+function getAssetEligibility(assetKey) {
+  const entry = readEligibility()[assetKey] || {};
+  return {
+    bountyEligible: entry.bountyEligible !== false,
+    maxSeverity: SEVERITIES.includes(entry.maxSeverity) ? entry.maxSeverity : 'critical'
+  };
+}
+
+function setAssetEligibility(assetKey, changes) {
+  const all = readEligibility();
+  const entry = { ...getAssetEligibility(assetKey), ...changes };
+
+  // Only store deviations from the default
+  const stored = {};
+  if (entry.bountyEligible === false) stored.bountyEligible = false;
+  if (entry.maxSeverity && entry.maxSeverity !== 'critical') stored.maxSeverity = entry.maxSeverity;
+  if (Object.keys(stored).length) all[assetKey] = stored;
+  else delete all[assetKey];
+
+  if (Object.keys(all).length) localStorage.setItem(ELIGIBILITY_KEY, JSON.stringify(all));
+  else localStorage.removeItem(ELIGIBILITY_KEY);
+  try { window.dispatchEvent(new CustomEvent('scope-assets-changed')); } catch {}
+}
+
+export {
+  SELECTIONS_PREFIX,
+  ELIGIBILITY_KEY,
+  SEVERITIES,
+  SEVERITY_LABELS,
+  getAssetSelections,
+  getApiSubdomainHost,
+  getAppSelectionKey,
+  getApiSelectionKey,
+  getAssetSelection,
+  setAssetSelection,
+  isAssetIncluded,
+  isApiSubdomainIncluded,
+  setApiSubdomainIncluded,
+  getAssetEligibility,
+  setAssetEligibility
+};
@@ -0,0 +1,299 @@
+// severity.js — CVSS score bands per reward severity, and the CVSS calculator
+// A band is the lowest score of a severity (defaults: the CVSS qualitative rating scale).
+
+import { CVSS_VERSIONS, CVSS_METRICS, buildCvssVector, getCvssScore } from './cvss.js';
+import { SEVERITIES, SEVERITY_LABELS } from './selections.js';
+
+const SEVERITY_ASSESSMENT_KEY = 'severityAssessment';
+const DEFAULT_CVSS_VERSION = '3.1';
+const DEFAULT_BANDS = { critical: 9, high: 7, medium: 4, low: 0.1 };
+const CALCULATOR_URLS = {
+  '3.1': 'https://www.first.org/cvss/calculator/3.1',
+  '4.0': 'https://www.first.org/cvss/calculator/4.0'
+};
+
+let calculatorMetrics = {};  // Current calculator selections, per version
+let getRewardForSeverity = () => '';  // Set by setupSeverityAssessment
+
+function getSeverityAssessment() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SEVERITY_ASSESSMENT_KEY) || '{}') || {};
+  } catch {}
+
+  const bands = {};
+  CVSS_VERSIONS.forEach(version => {
+    bands[version] = { ...DEFAULT_BANDS, ...(stored.bands?.[version] || {}) };
+  });
+  return {
+    version: CVSS_VERSIONS.includes(stored.version) ? stored.version : DEFAULT_CVSS_VERSION,
+    include: stored.include !== false,
+    bands
+  };
+}
+
+function saveSeverityAssessment(assessment) {
+  const isDefault = assessment.version === DEFAULT_CVSS_VERSION && assessment.include &&
+    CVSS_VERSIONS.every(v => SEVERITIES.every(s => assessment.bands[v][s] === DEFAULT_BANDS[s]));
+  if (isDefault) localStorage.removeItem(SEVERITY_ASSESSMENT_KEY);
+  else localStorage.setItem(SEVERITY_ASSESSMENT_KEY, JSON.stringify(assessment));
+}
+
+/**
+ * Score bands of a CVSS version (the selected one by default), highest first:
+ * [{ severity, label, min, max }]
+ */
+function getSeverityBands(version = getSeverityAssessment().version) {
+  const lows = getSeverityAssessment().bands[version] || DEFAULT_BANDS;
+  return SEVERITIES.map((severity, i) => ({
+    severity,
+    label: SEVERITY_LABELS[severity],
+    min: lows[severity],
+    max: i === 0 ? 10 : Math.round((lows[SEVERITIES[i - 1]] - 0.1) * 10) / 10
+  }));
+}
+
+// "9.0–10.0"
+function formatSeverityBand(band) {
+  return `${band.min.toFixed(1)}–${band.max.toFixed(1)}`;
+}
+
+/**
+ * Helper: Severity of a score under the bands of `version` (null below the Low band).
+ */
+function getSeverityForScore(score, version) {
+  const band = getSeverityBands(version).find(b => score >= b.min);
+  return band ? band.severity : null;
+}
+
+/**
+ * Helper: Check band lows ({ critical, high, medium, low }) before saving.
+ * Returns an error message, or '' when they are usable.
+ */
+function validateSeverityBands(lows) {
+  if (SEVERITIES.some(s => !Number.isFinite(lows[s]) || lows[s] < 0.1 || lows[s] > 10)) {
+    return 'Each band must start at a score between 0.1 and 10.0.';
+  }
+  if (SEVERITIES.some((s, i) => i > 0 && lows[s] >= lows[SEVERITIES[i - 1]])) {
+    return 'Each band must start below the band above it (Critical > High > Medium > Low).';
+  }
+  return '';
+}
+
+/**
+ * "Severity Assessment" section for the Rewards block, or '' when it is switched off.
+ * `amounts` maps each severity of the tier to its display amount, in tier order (see buildRewardsTextFromTier).
+ */
+function buildSeverityAssessmentText(amounts) {
+  const { version, include } = getSeverityAssessment();
+  if (!include) return '';
+
+  const bands = getSeverityBands(version);
+  const lines = ['<br><strong>Severity Assessment</strong>'];
+  lines.push(`Severity is based on the CVSS v${version} base score of the vulnerability (${CALCULATOR_URLS[version]}). We may adjust it to reflect the actual impact on our systems and users.`);
+  Object.entries(amounts).forEach(([severity, amount]) => {
+    const band = bands.find(b => b.severity === severity);
+    if (!band) return;
+    lines.push(`${band.label} (CVSS ${formatSeverityBand(band)})${amount ? `: ${amount}` : ''}`);
+  });
+  return lines.join('<br>');
+}
+
+function renderSeverityBands() {
+  const container = document.getElementById('severityBands');
+  if (!container) return;
+  const { version } = getSeverityAssessment();
+
+  container.innerHTML = '';
+  getSeverityBands(version).forEach(band => {
+    const cell = document.createElement('label');
+    cell.className = 'flex flex-col gap-1 text-gray-700';
+    cell.innerHTML = `
+      <span class="font-medium">${band.label}</span>
+      <span class="flex items-center gap-1">
+        <input type="number" min="0.1" max="10" step="0.1" data-severity-band="${band.severity}"
+          value="${band.min.toFixed(1)}" class="w-16 px-2 py-1 border rounded">
+        <span class="text-gray-500">– ${band.max.toFixed(1)}</span>
+      </span>
+    `;
+    container.appendChild(cell);
+  });
+}
+
+// Helper: Calculator selections of a version (defaults to the most severe value of each metric)
+function getCalculatorMetrics(version) {
+  if (!calculatorMetrics[version]) {
+    calculatorMetrics[version] = Object.fromEntries(
+      CVSS_METRICS[version].map(({ key, values }) => [key, Object.keys(values)[0]])
+    );
+  }
+  return calculatorMetrics[version];
+}
+
+function renderCvssCalculator() {
+  const container = document.getElementById('cvssCalculatorMetrics');
+  if (!container) return;
+  const { version } = getSeverityAssessment();
+  const metrics = getCalculatorMetrics(version);
+
+  container.innerHTML = '';
+  CVSS_METRICS[version].forEach(({ key, label, values }) => {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-2 text-gray-700';
+    row.textContent = label;
+
+    const select = document.createElement('select');
+    select.className = 'px-2 py-1 border rounded';
+    select.dataset.cvssMetric = key;
+    Object.entries(values).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = metrics[key];
+    row.appendChild(select);
+    container.appendChild(row);
+  });
+
+  const vectorInput = document.getElementById('cvssVector');
+  if (vectorInput) vectorInput.value = buildCvssVector(version, metrics);
+  updateCvssResult();
+}
+
+/**
+ * Helper: Show the calculator's score, severity and the reward of the selected tier.
+ */
+function updateCvssResult(error = '') {
+  const result = document.getElementById('cvssResult');
+  if (!result) return;
+  if (error) {
+    result.innerHTML = `<span class="text-red-600">${error}</span>`;
+    return;
+  }
+
+  const { version } = getSeverityAssessment();
+  const { score } = getCvssScore(buildCvssVector(version, getCalculatorMetrics(version)));
+  const severity = getSeverityForScore(score, version);
+  const reward = severity ? getRewardForSeverity(severity) : '';
+
+  let text = `<strong>${score.toFixed(1)}</strong> → ${severity ? SEVERITY_LABELS[severity] : 'None'}`;
+  if (reward) text += ` (${reward})`;
+  result.innerHTML = text;
+}
+
+function loadSeverityAssessment() {
+  const { version, include } = getSeverityAssessment();
+  const versionSelect = document.getElementById('cvssVersion');
+  const includeBox = document.getElementById('includeSeverityAssessment');
+  if (versionSelect) versionSelect.value = version;
+  if (includeBox) includeBox.checked = include;
+  document.getElementById('severityBandsError')?.classList.add('hidden');
+  renderSeverityBands();
+  renderCvssCalculator();
+}
+
+/**
+ * `getRewardText(severity)` gives the reward shown next to the calculator's result.
+ */
+function setupSeverityAssessment({ onChange, getRewardText } = {}) {
+  const versionSelect = document.getElementById('cvssVersion');
+  const includeBox = document.getElementById('includeSeverityAssessment');
+  const bandsContainer = document.getElementById('severityBands');
+  const metricsContainer = document.getElementById('cvssCalculatorMetrics');
+  const vectorInput = document.getElementById('cvssVector');
+  if (!versionSelect) return;
+
+  if (typeof getRewardText === 'function') getRewardForSeverity = getRewardText;
+  const notify = () => { if (typeof onChange === 'function') onChange(); };
+
+  versionSelect.innerHTML = '';
+  CVSS_VERSIONS.forEach(version => {
+    const option = document.createElement('option');
+    option.value = version;
+    option.textContent = `CVSS v${version}`;
+    versionSelect.appendChild(option);
+  });
+
+  versionSelect.addEventListener('change', () => {
+    saveSeverityAssessment({ ...getSeverityAssessment(), version: versionSelect.value });
+    console.log(`🧮 Severity assessment: CVSS v${versionSelect.value}`);
+    loadSeverityAssessment();
+    notify();
+  });
+
+  includeBox?.addEventListener('change', () => {
+    saveSeverityAssessment({ ...getSeverityAssessment(), include: includeBox.checked });
+    notify();
+  });
+
+  bandsContainer?.addEventListener('change', (e) => {
+    if (!e.target.matches('[data-severity-band]')) return;
+    const assessment = getSeverityAssessment();
+    const lows = Object.fromEntries(
+      [...bandsContainer.querySelectorAll('[data-severity-band]')]
+        .map(input => [input.dataset.severityBand, Math.round(parseFloat(input.value) * 10) / 10])
+    );
+    const errorEl = document.getElementById('severityBandsError');
+    const error = validateSeverityBands(lows);
+    if (errorEl) {
+      errorEl.textContent = error;
+      errorEl.classList.toggle('hidden', !error);
+    }
+    if (error) return;
+
+    assessment.bands[assessment.version] = lows;
+    saveSeverityAssessment(assessment);
+    console.log(`🧮 CVSS v${assessment.version} bands:`, lows);
+    renderSeverityBands();
+    updateCvssResult();
+    notify();
+  });
+
+  metricsContainer?.addEventListener('change', (e) => {
+    if (!e.target.matches('[data-cvss-metric]')) return;
+    const { version } = getSeverityAssessment();
+    getCalculatorMetrics(version)[e.target.dataset.cvssMetric] = e.target.value;
+    if (vectorInput) vectorInput.value = buildCvssVector(version, getCalculatorMetrics(version));
+    updateCvssResult();
+  });
+
+  // A pasted vector fills the calculator (and switches version if it is the other one)
+  vectorInput?.addEventListener('change', () => {
+    const parsed = getCvssScore(vectorInput.value);
+    if (!parsed) {
+      updateCvssResult('Not a complete CVSS v3.1 or v4.0 base vector.');
+      return;
+    }
+    const { version } = parsed;
+    calculatorMetrics[version] = Object.fromEntries(
+      parsed.vector.split('/').slice(1).map(part => part.split(':'))
+    );
+    if (version !== getSeverityAssessment().version) {
+      versionSelect.value = version;
+      versionSelect.dispatchEvent(new Event('change'));
+    } else {
+      renderCvssCalculator();
+    }
+  });
+
+  window.addEventListener('reward-tier-changed', () => updateCvssResult());
+}
+
+function clearSeverityAssessment() {
+  localStorage.removeItem(SEVERITY_ASSESSMENT_KEY);
+  calculatorMetrics = {};
+  loadSeverityAssessment();
+}
+
+export {
+  SEVERITY_ASSESSMENT_KEY,
+  getSeverityAssessment,
+  getSeverityBands,
+  formatSeverityBand,
+  getSeverityForScore,
+  buildSeverityAssessmentText,
+  setupSeverityAssessment,
+  loadSeverityAssessment,
+  clearSeverityAssessment
+};
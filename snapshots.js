@@ -0,0 +1,115 @@
+// snapshots.js — What changed in the discovered apps and APIs since the previous fetch
+// When a loader refetches a domain, the payload it replaces is kept in the same
+// apiData_<domain> blob (saved by api.js):
+//   previous: { mobileSearches: { "<search key>": { mobileDetails, mobileVersions } }, apiDetails, timestamp }
+// Only the sides that were actually refetched move into `previous`; a side with no snapshot
+// (never refetched, or a search that ran for the first time) reports no changes.
+
+import { getAppSelectionKey, getApiSelectionKey } from './selections.js';
+import { getMobileSearchKey, mergeMobileSearches } from './mobileoptions.js';
+
+// Fields that count as a change when an app/API with the same key comes back different
+const APP_FIELDS = ['name', 'version', 'developer', 'bundle_id', 'package_name'];
+const API_FIELDS = ['name', 'documentationUrls'];
+
+/**
+ * Helper: `previous` for a blob being saved. `blob` is the stored blob the new data replaces;
+ * `fetched` says which sides ({ mobile, api }) were refetched successfully.
+ */
+function buildPreviousSnapshot(blob, data, fetched = {}) {
+  if (!blob) return null;
+  const previous = { ...(blob.previous || {}) };
+
+  if (fetched.mobile && data?.mobileSearch) {
+    const old = mergeMobileSearches(blob, null)[data.mobileSearch];
+    const searches = { ...(previous.mobileSearches || {}) };
+    if (old) searches[data.mobileSearch] = old;
+    else delete searches[data.mobileSearch];
+    previous.mobileSearches = searches;
+  }
+  if (fetched.api) previous.apiDetails = blob.apiDetails || null;
+  if (fetched.mobile || fetched.api) previous.timestamp = blob.timestamp || null;
+
+  return Object.keys(previous).length ? previous : null;
+}
+
+/**
+ * The previous snapshot of a domain for the current mobile search.
+ * A side is undefined when there is nothing to compare against.
+ */
+function readPreviousSnapshot(domain) {
+  let blob = null;
+  try { blob = JSON.parse(localStorage.getItem(`apiData_${domain}`) || 'null'); } catch {}
+  const previous = blob?.previous;
+  if (!previous) return null;
+
+  const searches = previous.mobileSearches || {};
+  const searchKey = getMobileSearchKey();
+  return {
+    mobileDetails: searchKey in searches ? (searches[searchKey].mobileDetails || null) : undefined,
+    apiDetails: 'apiDetails' in previous ? previous.apiDetails : undefined,
+    timestamp: previous.timestamp || null
+  };
+}
+
+// Helper: Every app in a mobile payload (suggested + alternatives)
+function listApps(mobileDetails) {
+  const alternatives = mobileDetails?.alternatives || {};
+  return [
+    ...(mobileDetails?.suggested_apps || []),
+    ...(alternatives.iOS || []),
+    ...(alternatives.Android || [])
+  ];
+}
+
+// Helper: Every API in an API payload (suggested + alternatives)
+function listApis(apiDetails) {
+  return [...(apiDetails?.suggestedApis || []), ...(apiDetails?.alternativeApis || [])];
+}
+
+/**
+ * Helper: Added/removed/changed items between two lists, matched by `keyOf`.
+ * Each entry is { key, name, fields } (fields = the differing field names, for changed items).
+ */
+function diffItems(before, after, keyOf, fields) {
+  const index = (items) => new Map(items.map(item => [keyOf(item), item]).filter(([key]) => key));
+  const old = index(before);
+  const now = index(after);
+  const entry = (key, item) => ({ key, name: item.name || key });
+
+  const added = [...now].filter(([key]) => !old.has(key)).map(([key, item]) => entry(key, item));
+  const removed = [...old].filter(([key]) => !now.has(key)).map(([key, item]) => entry(key, item));
+  const changed = [];
+  now.forEach((item, key) => {
+    if (!old.has(key)) return;
+    const differs = fields.filter(f => JSON.stringify(item[f] ?? null) !== JSON.stringify(old.get(key)[f] ?? null));
+    if (differs.length) changed.push({ ...entry(key, item), fields: differs });
+  });
+  return { added, removed, changed };
+}
+
+/**
+ * Changes between a domain's previous snapshot and its current data ({ mobileDetails, apiDetails }).
+ * Returns { apps, apis, timestamp } or null when nothing was added, removed or changed.
+ */
+function getDiscoveryChanges(domain, current) {
+  const previous = readPreviousSnapshot(domain);
+  if (!previous) return null;
+
+  const none = { added: [], removed: [], changed: [] };
+  const apps = previous.mobileDetails === undefined
+    ? none
+    : diffItems(listApps(previous.mobileDetails), listApps(current?.mobileDetails), getAppSelectionKey, APP_FIELDS);
+  const apis = previous.apiDetails === undefined
+    ? none
+    : diffItems(listApis(previous.apiDetails), listApis(current?.apiDetails), getApiSelectionKey, API_FIELDS);
+
+  const count = [apps, apis].reduce((n, d) => n + d.added.length + d.removed.length + d.changed.length, 0);
+  return count ? { apps, apis, timestamp: previous.timestamp } : null;
+}
+
+export {
+  buildPreviousSnapshot,
+  readPreviousSnapshot,
+  getDiscoveryChanges
+};
@@ -0,0 +1,199 @@
+// tierrecommend.js — Recommend a reward tier from the discovered apps and APIs and a short questionnaire
+
+import { getProgramDomains } from './domains.js';
+import { getDomainSource } from './assets.js';
+import { escapeHtml } from './html.js';
+
+const TIER_QUESTIONNAIRE_KEY = 'tierQuestionnaire';
+
+// Each answer: [label, points, sentence for the explanation ('' when it says nothing)]
+const QUESTIONS = {
+  industry: {
+    general: ['Other / general', 0, ''],
+    ecommerce: ['E-commerce / retail', 3, 'E-commerce handles payments and customer accounts.'],
+    saas: ['SaaS / technology', 3, 'Technology companies attract experienced researchers.'],
+    government: ['Government / public sector', 3, 'Public-sector systems hold citizen data.'],
+    healthcare: ['Healthcare', 6, 'Healthcare is a high-value target.'],
+    finance: ['Finance / insurance', 6, 'Financial services are a high-value target.'],
+    crypto: ['Crypto / web3', 8, 'Crypto and web3 findings can lead to direct loss of funds.'],
+    nonprofit: ['Non-profit / education', -3, 'Non-profits usually run smaller programs.']
+  },
+  dataSensitivity: {
+    public: ['Mostly public data', 0, ''],
+    personal: ['Customer accounts and personal data', 3, 'Personal data raises the impact of a breach.'],
+    regulated: ['Payments, health records or credentials', 6, 'Regulated data (payments, health records, credentials) calls for higher rewards.']
+  },
+  teamSize: {
+    none: ['No dedicated security staff', -4, 'Without dedicated security staff, a smaller tier keeps the report volume manageable.'],
+    small: ['1–5 people', 0, ''],
+    medium: ['6–20 people', 2, 'A security team of 6–20 can triage a steady flow of reports.'],
+    large: ['More than 20 people', 4, 'A large security team can handle the volume of a bigger program.']
+  }
+};
+
+// Lowest score of each recommended tier (rewards.json keys), highest first
+const TIER_THRESHOLDS = [
+  ['elite', 26],
+  ['premium', 18],
+  ['established', 11],
+  ['growing', 5],
+  ['entry', -Infinity]
+];
+const MAX_SURFACE_POINTS = 20;
+
+function getTierQuestionnaire() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(TIER_QUESTIONNAIRE_KEY) || '{}') || {};
+  } catch {}
+  return Object.fromEntries(Object.keys(QUESTIONS).map(q => [q, QUESTIONS[q][stored[q]] ? stored[q] : '']));
+}
+
+function saveTierQuestionnaire(answers) {
+  if (Object.values(answers).some(Boolean)) localStorage.setItem(TIER_QUESTIONNAIRE_KEY, JSON.stringify(answers));
+  else localStorage.removeItem(TIER_QUESTIONNAIRE_KEY);
+}
+
+/**
+ * Count what discovery found across the program domains:
+ * { domains, apps, alternativeApps, apis, alternativeApis, apiSubdomains, discovered }
+ * (`discovered` is false until data has been loaded for at least one domain).
+ */
+function countAttackSurface(storedApiData) {
+  const data = storedApiData || {};
+  const domains = getProgramDomains();
+  const list = value => (Array.isArray(value) ? value : []);
+  const counts = { domains: domains.length, apps: 0, alternativeApps: 0, apis: 0, alternativeApis: 0, apiSubdomains: 0, discovered: false };
+
+  domains.forEach(domain => {
+    const { mobileDetails, apiDetails } = getDomainSource(data, domain);
+    if (mobileDetails || apiDetails) counts.discovered = true;
+    counts.apps += list(mobileDetails?.suggested_apps).length;
+    counts.alternativeApps += list(mobileDetails?.alternatives?.iOS).length + list(mobileDetails?.alternatives?.Android).length;
+    counts.apis += list(apiDetails?.suggestedApis).length;
+    counts.alternativeApis += list(apiDetails?.alternativeApis).length;
+    counts.apiSubdomains += list(apiDetails?.apiSubdomains).length;
+  });
+  return counts;
+}
+
+// Helper: "3 apps", "1 API"
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Helper: One sentence describing the discovered surface.
+ */
+function describeSurface(counts) {
+  if (!counts.discovered) return 'No apps or APIs have been discovered yet, so this is based on your answers only.';
+
+  const apps = counts.apps + counts.alternativeApps;
+  const apis = counts.apis + counts.alternativeApis;
+  const parts = [];
+  if (apps) parts.push(`${plural(apps, 'mobile app')}${counts.alternativeApps ? ` (${counts.alternativeApps} possible)` : ''}`);
+  if (apis) parts.push(`${plural(apis, 'API')}${counts.alternativeApis ? ` (${counts.alternativeApis} possible)` : ''}`);
+  if (counts.apiSubdomains) parts.push(plural(counts.apiSubdomains, 'API subdomain'));
+  const across = counts.domains > 1 ? ` across ${counts.domains} domains` : '';
+
+  if (!parts.length) return `Discovery found no apps or APIs${across}, a small attack surface.`;
+  const found = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+  return `Discovery found ${found}${across}.`;
+}
+
+/**
+ * Score the surface and the answers.
+ * Suggested apps and APIs count 2 points, alternatives and API subdomains 1, each extra domain 2
+ * (surface capped at 20); the answers add or remove up to 8 points each.
+ * Returns { score, surfacePoints, sentences }.
+ */
+function scoreAttackSurface(counts, answers) {
+  const surfacePoints = Math.min(MAX_SURFACE_POINTS,
+    2 * counts.apps + counts.alternativeApps +
+    2 * counts.apis + counts.alternativeApis +
+    counts.apiSubdomains +
+    2 * Math.max(0, counts.domains - 1));
+
+  let score = surfacePoints;
+  const sentences = [describeSurface(counts)];
+  Object.entries(answers).forEach(([question, answer]) => {
+    const option = QUESTIONS[question]?.[answer];
+    if (!option) return;
+    score += option[1];
+    if (option[2]) sentences.push(option[2]);
+  });
+  return { score, surfacePoints, sentences };
+}
+
+/**
+ * Recommended tier for the current program: { key, score, explanation }, or null while there is
+ * nothing to go on (no discovery and no answers) or the tier is not in `tiers`.
+ */
+function getTierRecommendation(tiers, storedApiData = window.storedApiData) {
+  const counts = countAttackSurface(storedApiData);
+  const answers = getTierQuestionnaire();
+  if (!counts.discovered && !Object.values(answers).some(Boolean)) return null;
+
+  const { score, sentences } = scoreAttackSurface(counts, answers);
+  const [key] = TIER_THRESHOLDS.find(([, min]) => score >= min);
+  if (!tiers?.[key]) return null;
+  return { key, score, explanation: sentences.join(' ') };
+}
+
+/**
+ * Show the recommendation (from getTierRecommendation) above the tier cards.
+ */
+function renderTierRecommendation(recommendation, tiers) {
+  const el = document.getElementById('tierRecommendation');
+  if (!el) return;
+  if (!recommendation) {
+    el.innerHTML = '<span class="text-gray-600">Enter a domain or answer the questions to get a recommended tier.</span>';
+    return;
+  }
+  const title = tiers?.[recommendation.key]?.title || recommendation.key;
+  el.innerHTML = `⭐ <strong>Recommended: ${escapeHtml(title)}.</strong> ${escapeHtml(recommendation.explanation)}`;
+}
+
+function loadTierQuestionnaire() {
+  const answers = getTierQuestionnaire();
+  document.querySelectorAll('[data-tier-question]').forEach(select => {
+    const question = select.dataset.tierQuestion;
+    select.innerHTML = '<option value="">Not answered</option>' + Object.entries(QUESTIONS[question] || {})
+      .map(([value, [label]]) => `<option value="${value}">${escapeHtml(label)}</option>`)
+      .join('');
+    select.value = answers[question] || '';
+  });
+}
+
+// onChange: an answer or the discovered data changed, so the recommendation may have too
+function setupTierQuestionnaire({ onChange } = {}) {
+  const container = document.getElementById('tierQuestionnaire');
+  if (!container) return;
+  const notify = () => { if (typeof onChange === 'function') onChange(); };
+
+  container.addEventListener('change', (e) => {
+    const question = e.target.dataset?.tierQuestion;
+    if (!question) return;
+    saveTierQuestionnaire({ ...getTierQuestionnaire(), [question]: e.target.value });
+    console.log(`⭐ Tier questionnaire: ${question} = ${e.target.value || '(not answered)'}`);
+    notify();
+  });
+
+  window.addEventListener('api-data-updated', notify);
+}
+
+function clearTierQuestionnaire() {
+  localStorage.removeItem(TIER_QUESTIONNAIRE_KEY);
+  loadTierQuestionnaire();
+}
+
+export {
+  TIER_QUESTIONNAIRE_KEY,
+  countAttackSurface,
+  scoreAttackSurface,
+  getTierRecommendation,
+  renderTierRecommendation,
+  setupTierQuestionnaire,
+  loadTierQuestionnaire,
+  clearTierQuestionnaire
+};
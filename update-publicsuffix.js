@@ -0,0 +1,81 @@
+// Regenerate publicsuffix.js from the Public Suffix List (https://publicsuffix.org/)
+// Usage: node update-publicsuffix.js [path/to/public_suffix_list.dat]
+// Without a file the current list is downloaded (Node 18+).
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+
+const LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT = path.join(__dirname, 'publicsuffix.js');
+
+async function readList(file) {
+  if (file) return fs.readFileSync(file, 'utf8');
+  const res = await fetch(LIST_URL);
+  if (!res.ok) throw new Error(`${LIST_URL} responded ${res.status}`);
+  return res.text();
+}
+
+// One rule per line (its first word); "//" starts a comment. IDN rules are converted to punycode.
+function parseRules(text) {
+  const rules = [];
+  text.split('\n').forEach(line => {
+    const rule = line.trim().split(/\s/)[0];
+    if (!rule || rule.startsWith('//')) return;
+
+    const prefix = rule.match(/^(!|\*\.)?/)[0];
+    const host = domainToASCII(rule.slice(prefix.length));
+    if (!host) {
+      console.warn(`Skipping unreadable rule: ${rule}`);
+      return;
+    }
+    // Single-label rules are implied: hostnames.js treats every TLD as a suffix
+    if (!prefix && !host.includes('.')) return;
+    rules.push(prefix + host);
+  });
+  return rules;
+}
+
+function buildModule(rules, source) {
+  const lines = [];
+  let line = '';
+  rules.forEach(rule => {
+    const item = `'${rule}'`;
+    if (line && line.length + item.length > 96) {
+      lines.push(`  ${line},`);
+      line = '';
+    }
+    line += line ? `, ${item}` : item;
+  });
+  if (line) lines.push(`  ${line}`);
+
+  return [
+    '// publicsuffix.js — Public suffix rules for hostnames.js, generated from the Public Suffix List',
+    `// Source: ${source} (${new Date().toISOString().slice(0, 10)}). Do not edit by hand:`,
+    '// run `node update-publicsuffix.js` to update it.',
+    '// Rule syntax as in the list: "co.uk" is a suffix, "*.ck" makes every label under ck one,',
+    '// "!www.ck" is an exception to a wildcard. Single-label rules are left out (every TLD is a',
+    '// suffix anyway) and IDN rules are in punycode.',
+    '// The Public Suffix List is published under the Mozilla Public License 2.0 (https://mozilla.org/MPL/2.0/).',
+    '',
+    'const PUBLIC_SUFFIX_RULES = [',
+    ...lines,
+    '];',
+    '',
+    'export { PUBLIC_SUFFIX_RULES };',
+    ''
+  ].join('\n');
+}
+
+async function main() {
+  const file = process.argv[2];
+  const rules = parseRules(await readList(file));
+  if (rules.length < 1000) throw new Error(`Only ${rules.length} rules found; is this the Public Suffix List?`);
+
+  fs.writeFileSync(OUTPUT, buildModule(rules, file ? path.basename(file) : LIST_URL));
+  console.log(`Wrote ${rules.length} rules to ${path.basename(OUTPUT)}`);
+}
+
+main().catch(err => {
+  console.error('Error updating the public suffix list:', err.message);
+  process.exit(1);
+});